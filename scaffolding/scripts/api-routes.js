@@ -0,0 +1,332 @@
+/**
+ * API Routes
+ *
+ * Static parity report between the three places that define or use HTTP routes:
+ *   backend    FastAPI decorators in packages/backend/src/api/routes/ (with the router prefixes)
+ *   next       route handlers exported from apps/web/app/api/ (GET, POST, ...)
+ *   client     calls from apps/web code: fetch(`${baseUrl}/...`) and apiClient.get/post/...
+ * The client calls /api/<path>; with api.versioning (the default) the backend serves the same
+ * path under /api/v1. It reports:
+ *   unserved-call        a client call no Next.js handler or backend route answers
+ *   unused-route         a backend route no client call uses (health probes excepted)
+ *   version-prefix       the backend router prefix disagrees with api.versioning
+ *
+ * Usage: node api-routes.js [--format text|json|junit]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, ConfigValidationError } = require('./config-validator');
+const { parseFormatArg, routeLogsToStderr, toJUnitXml } = require('./report-format');
+
+const ROUTES_DIR = 'packages/backend/src/api/routes';
+const ROUTER_FILE = 'packages/backend/src/api/router.py';
+const NEXT_API_DIR = 'apps/web/app/api';
+const WEB_DIR = 'apps/web';
+
+const API_BASE = '/api';
+const API_VERSION = 'v1';
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Routes for load balancers and uptime checks, not the client
+const PROBE_PATTERN = /\/health(?:\/|$)/;
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function readText(workspaceRoot, file) {
+  const full = path.join(workspaceRoot, file);
+  return fs.existsSync(full) ? fs.readFileSync(full, 'utf-8') : null;
+}
+
+function walk(workspaceRoot, dir, filter) {
+  const full = path.join(workspaceRoot, dir);
+  if (!fs.existsSync(full)) return [];
+  return fs.readdirSync(full, { withFileTypes: true }).flatMap(entry => {
+    const rel = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) return entry.name === 'node_modules' ? [] : walk(workspaceRoot, rel, filter);
+    return filter(rel) ? [rel] : [];
+  });
+}
+
+/**
+ * Path as comparable segments: FastAPI {id}, Next.js [id] and client ${id} all become ":"
+ * (a Next.js [...slug] becomes "*", matching the rest of the path)
+ */
+function normalizePath(routePath) {
+  const clean = routePath.split('?')[0].replace(/\/+$/, '') || '/';
+  return clean.split('/').filter(Boolean).map(segment => {
+    if (/^\[\[?\.\.\./.test(segment)) return '*';
+    if (/^\{[^}]+\}$|^\[[^\]]+\]$|^\$\{[^}]+\}$|^:/.test(segment)) return ':';
+    return segment;
+  });
+}
+
+function pathsMatch(a, b) {
+  const [x, y] = [normalizePath(a), normalizePath(b)];
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    if (x[i] === '*' || y[i] === '*') return true;
+    if (x[i] === undefined || y[i] === undefined) return false;
+    if (x[i] !== y[i] && x[i] !== ':' && y[i] !== ':') return false;
+  }
+  return true;
+}
+
+/**
+ * Backend endpoints: [{ method, path, file, line }], plus the api_router prefix.
+ * Route modules are found through router.py's include_router(<module>.router, prefix=...).
+ */
+function listBackendRoutes(workspaceRoot) {
+  const router = readText(workspaceRoot, ROUTER_FILE) || '';
+  const apiPrefix = router.match(/api_router\s*=\s*APIRouter\(\s*prefix\s*=\s*["']([^"']*)["']/)?.[1] ?? '';
+  const includes = new Map([...router.matchAll(/include_router\(\s*(\w+)\.router\b([^)]*)\)/g)]
+    .map(m => [m[1], m[2].match(/prefix\s*=\s*["']([^"']*)["']/)?.[1] || '']));
+
+  const routes = [];
+  for (const file of walk(workspaceRoot, ROUTES_DIR, f => f.endsWith('.py') && !f.endsWith('__init__.py'))) {
+    const module = path.basename(file, '.py');
+    if (router && !includes.has(module)) continue; // not mounted
+    const text = readText(workspaceRoot, file);
+    const routerPrefix = text.match(/router\s*=\s*APIRouter\(\s*prefix\s*=\s*["']([^"']*)["']/)?.[1] || '';
+    for (const m of text.matchAll(/@router\.(get|post|put|patch|delete|head|options)\(\s*["']([^"']*)["']/g)) {
+      routes.push({
+        method: m[1].toUpperCase(),
+        path: `${apiPrefix}${includes.get(module) || ''}${routerPrefix}${m[2]}` || '/',
+        file,
+        line: lineOf(text, m.index),
+      });
+    }
+  }
+  return { apiPrefix, routes };
+}
+
+/**
+ * Next.js route handlers: [{ method, path, file, line }] from every app/api/**\/route.ts
+ */
+function listNextRoutes(workspaceRoot) {
+  const routes = [];
+  for (const file of walk(workspaceRoot, NEXT_API_DIR, f => /\/route\.(?:ts|tsx|js)$/.test(f))) {
+    const text = readText(workspaceRoot, file);
+    const routePath = `/${path.posix.dirname(file).slice('apps/web/app/'.length)}`.replace(/\/\([^)]+\)/g, ''); // drop (groups)
+    for (const m of text.matchAll(new RegExp(`export\\s+(?:async\\s+)?(?:function\\s+|const\\s+)(${HTTP_METHODS.join('|')})\\b`, 'g'))) {
+      routes.push({ method: m[1], path: routePath, file, line: lineOf(text, m.index) });
+    }
+  }
+  return routes;
+}
+
+// Text of a call's arguments, from the "(" at openIndex to its matching ")"
+function callArguments(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return text.slice(openIndex + 1, i);
+  }
+  return text.slice(openIndex + 1);
+}
+
+/**
+ * Client calls: [{ method, path, file, line }] from fetch() and apiClient.<method>() in apps/web
+ * (tests and the Next.js route handlers themselves excluded). A leading ${...baseUrl...}
+ * stands for the client's base URL, /api by default.
+ */
+function listClientCalls(workspaceRoot) {
+  const calls = [];
+  const files = walk(workspaceRoot, WEB_DIR, f => /\.(?:ts|tsx)$/.test(f)
+    && !/\.test\.tsx?$|\/tests?\//.test(f)
+    && !f.startsWith(`${NEXT_API_DIR}/`));
+
+  for (const file of files) {
+    const text = readText(workspaceRoot, file);
+    const base = text.match(/baseUrl\s*(?::\s*string\s*)?=\s*['"]([^'"]*)['"]/i)?.[1] ?? API_BASE;
+    const resolve = (raw) => raw.replace(/^\$\{[^}]*base[^}]*\}/i, base);
+
+    for (const m of text.matchAll(/\bfetch\(/g)) {
+      const args = callArguments(text, m.index + m[0].length - 1);
+      const url = args.match(/^\s*(['"`])([^'"`]*)\1/);
+      if (!url) continue;
+      const callPath = resolve(url[2]);
+      if (!callPath.startsWith(`${API_BASE}/`)) continue; // external URLs, dynamic bases
+      const method = args.match(/method\s*:\s*['"](\w+)['"]/)?.[1]?.toUpperCase() || 'GET';
+      calls.push({ method, path: callPath, file, line: lineOf(text, m.index) });
+    }
+
+    for (const m of text.matchAll(/\b\w*[aA]piClient\.(get|post|put|patch|delete)\b(?:<[^>(]*>)?\(\s*(['"`])([^'"`]*)\2/g)) {
+      calls.push({ method: m[1].toUpperCase(), path: `${API_BASE}${m[3]}`, file, line: lineOf(text, m.index) });
+    }
+  }
+  return calls;
+}
+
+/**
+ * The backend path a client path maps to: /api/x → /api/v1/x with versioning on
+ */
+function toBackendPath(clientPath, versioning) {
+  return versioning ? clientPath.replace(new RegExp(`^${API_BASE}(?=/)`), `${API_BASE}/${API_VERSION}`) : clientPath;
+}
+
+/**
+ * Build the report. Returns { versioning, apiPrefix, backend, next, client: [{ ..., servedBy }],
+ * issues: [{ kind, file, line?, message }], passed }.
+ */
+function checkApiRoutes(workspaceRoot = process.cwd(), config = null) {
+  const versioning = config?.api?.versioning ?? true;
+  const { apiPrefix, routes: backend } = listBackendRoutes(workspaceRoot);
+  const next = listNextRoutes(workspaceRoot);
+  const issues = [];
+
+  const expectedPrefix = versioning ? `${API_BASE}/${API_VERSION}` : API_BASE;
+  if (backend.length > 0 && apiPrefix !== expectedPrefix) {
+    issues.push({
+      kind: 'version-prefix',
+      file: ROUTER_FILE,
+      message: `api_router prefix is "${apiPrefix}" but api.versioning=${versioning} expects "${expectedPrefix}"`,
+    });
+  }
+
+  const matches = (route, method, routePath) => route.method === method && pathsMatch(route.path, routePath);
+  const client = listClientCalls(workspaceRoot).map(call => {
+    const servedBy = [
+      ...next.filter(r => matches(r, call.method, call.path)).map(r => `next ${r.file}`),
+      ...backend.filter(r => matches(r, call.method, toBackendPath(call.path, versioning))).map(r => `backend ${r.file}:${r.line}`),
+    ];
+    if (servedBy.length === 0) {
+      issues.push({
+        kind: 'unserved-call',
+        file: call.file,
+        line: call.line,
+        message: `${call.method} ${call.path} has no Next.js handler and no backend route (${call.method} ${toBackendPath(call.path, versioning)})`,
+      });
+    }
+    return { ...call, servedBy };
+  });
+
+  const annotated = backend.map(route => {
+    const usedBy = client.filter(call => matches(route, call.method, toBackendPath(call.path, versioning)));
+    const probe = PROBE_PATTERN.test(route.path);
+    if (usedBy.length === 0 && !probe) {
+      issues.push({
+        kind: 'unused-route',
+        file: route.file,
+        line: route.line,
+        message: `${route.method} ${route.path} is never called by the client`,
+      });
+    }
+    return { ...route, probe, usedBy: usedBy.map(c => `${c.file}:${c.line}`) };
+  });
+
+  return { versioning, apiPrefix, backend: annotated, next, client, issues, passed: issues.length === 0 };
+}
+
+/**
+ * "file:line message" (or "file message") for an issue
+ */
+function formatIssue(issue) {
+  return `${[issue.file, issue.line].filter(Boolean).join(':')} ${issue.message}`;
+}
+
+/**
+ * JUnit suites: one per layer, a case per route or call
+ */
+function toSuites(report) {
+  const failure = (file, line) => report.issues.find(i => i.file === file && i.line === line);
+  const asCase = (item, label) => {
+    const issue = failure(item.file, item.line);
+    return {
+      name: label,
+      classname: item.file,
+      status: issue ? 'failed' : 'passed',
+      message: issue ? issue.kind : undefined,
+      stderr: issue ? formatIssue(issue) : undefined,
+      durationMs: 0,
+    };
+  };
+  return [
+    { name: 'api-routes / client calls', cases: report.client.map(c => asCase(c, `${c.method} ${c.path}`)) },
+    { name: 'api-routes / backend routes', cases: report.backend.map(r => asCase(r, `${r.method} ${r.path}`)) },
+  ];
+}
+
+function printSection(title, rows) {
+  console.log(title);
+  if (rows.length === 0) console.log('   (none)');
+  rows.forEach(row => console.log(`   ${row}`));
+  console.log('');
+}
+
+// CLI
+if (require.main === module) {
+  let format;
+  try {
+    ({ format } = parseFormatArg(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (format !== 'text') {
+    routeLogsToStderr();
+  }
+
+  const configPath = path.join(process.cwd(), 'scaffold-config.json');
+  let config;
+  try {
+    config = fs.existsSync(configPath) ? loadConfig(configPath) : null;
+  } catch (e) {
+    if (!(e instanceof ConfigValidationError)) throw e;
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  const startedAt = new Date().toISOString();
+  const report = checkApiRoutes(process.cwd(), config);
+
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.passed ? 0 : 1);
+  }
+  if (format === 'junit') {
+    process.stdout.write(toJUnitXml('api-routes', toSuites(report), startedAt));
+    process.exit(report.passed ? 0 : 1);
+  }
+
+  console.log('');
+  console.log('═'.repeat(50));
+  console.log('🔀 API ROUTE PARITY');
+  console.log('═'.repeat(50));
+  console.log('');
+  console.log(`api.versioning: ${report.versioning} (client ${API_BASE}/… → backend ${toBackendPath(`${API_BASE}/…`, report.versioning)})`);
+  console.log('');
+
+  const flagged = new Set(report.issues.map(i => `${i.file}:${i.line}`));
+  const icon = (item) => (flagged.has(`${item.file}:${item.line}`) ? '❌' : '✅');
+  const width = (items) => Math.max(0, ...items.map(i => `${i.method} ${i.path}`.length));
+  const pad = (item, items) => `${item.method} ${item.path}`.padEnd(width(items));
+
+  printSection('🐍 Backend routes (FastAPI)', report.backend.map(r =>
+    `${r.probe ? '🩺' : icon(r)} ${pad(r, report.backend)}  ${r.file}:${r.line}${r.probe ? '  (probe)' : ''}`));
+  printSection('▲ Next.js route handlers', report.next.map(r =>
+    `•  ${pad(r, report.next)}  ${r.file}:${r.line}`));
+  printSection('📡 Client calls', report.client.map(c =>
+    `${icon(c)} ${pad(c, report.client)}  ${c.file}:${c.line}${c.servedBy.length ? `  → ${c.servedBy[0].split(' ')[0]}` : ''}`));
+
+  if (report.passed) {
+    console.log('✅ Every client call has a route and every backend route is used');
+  } else {
+    console.log(`❌ ${report.issues.length} issue(s):`);
+    report.issues.forEach(i => console.log(`   - ${formatIssue(i)}`));
+  }
+  process.exit(report.passed ? 0 : 1);
+}
+
+module.exports = {
+  API_BASE,
+  API_VERSION,
+  normalizePath,
+  pathsMatch,
+  listBackendRoutes,
+  listNextRoutes,
+  listClientCalls,
+  checkApiRoutes,
+  formatIssue,
+  toSuites,
+};
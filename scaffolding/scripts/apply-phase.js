@@ -0,0 +1,198 @@
+/**
+ * Apply Phase
+ *
+ * Materialises a phase's artifacts straight from its markdown document.
+ * Every "### N. <path>" block is written to the workspace; "UPDATE" steps
+ * are listed for the agent to apply by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPhase, getPhaseFile, isValidPhase, padPhase, getExpectedFiles, getSkipReason, FIRST_PHASE, LAST_PHASE } = require('./phase-registry');
+const { loadPhaseDocument } = require('./phase-document');
+const { loadConfig } = require('./config-validator');
+const { PhaseSnapshots } = require('./phase-snapshot');
+
+class PhaseApplier {
+  constructor(workspaceRoot = process.cwd(), options = {}) {
+    this.workspaceRoot = workspaceRoot;
+    this.configPath = path.join(workspaceRoot, 'scaffold-config.json');
+    this.config = fs.existsSync(this.configPath) ? loadConfig(this.configPath) : null;
+    this.force = options.force || false;
+    this.dryRun = options.dryRun ?? this.config?.scaffoldOptions?.dryRun ?? false;
+  }
+
+  log(icon, message) {
+    console.log(`${icon} ${message}`);
+  }
+
+  /**
+   * Resolve a document path inside the workspace (refuses paths that escape it)
+   */
+  resolve(relativePath) {
+    const fullPath = path.resolve(this.workspaceRoot, relativePath);
+    const rel = path.relative(this.workspaceRoot, fullPath);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) {
+      throw new Error(`Artifact path escapes the workspace: ${relativePath}`);
+    }
+    return fullPath;
+  }
+
+  /**
+   * Plan and (unless dry-run) write every "create" artifact of a phase.
+   * Returns { created, overwritten, unchanged, refused, omitted, updates }.
+   */
+  apply(phaseNum) {
+    const phase = getPhase(phaseNum);
+    if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+
+    const skipReason = getSkipReason(phase.num, this.config);
+    if (skipReason) {
+      throw new Error(`Phase ${padPhase(phase.num)} is skipped by configuration (${skipReason})`);
+    }
+
+    const doc = loadPhaseDocument(phase.num);
+    if (!doc) throw new Error(`Phase document not found: ${getPhaseFile(phase.num)}`);
+
+    if (!this.dryRun) {
+      // Lets "scaffold-state.js undo-phase" remove exactly what this run writes
+      new PhaseSnapshots(this.workspaceRoot).take(phase.num);
+    }
+
+    const omittedByConfig = new Map(getExpectedFiles(phase.num, this.config).omitted.map(o => [o.path, o.reason]));
+    const result = { created: [], overwritten: [], unchanged: [], refused: [], omitted: [], updates: doc.updates };
+
+    for (const artifact of doc.artifacts) {
+      if (omittedByConfig.has(artifact.path)) {
+        result.omitted.push({ path: artifact.path, reason: omittedByConfig.get(artifact.path) });
+        continue;
+      }
+
+      const fullPath = this.resolve(artifact.path);
+      if (fs.existsSync(fullPath)) {
+        if (fs.readFileSync(fullPath, 'utf-8') === artifact.content) {
+          result.unchanged.push(artifact.path);
+          continue;
+        }
+        if (!this.force) {
+          result.refused.push(artifact.path);
+          continue;
+        }
+        result.overwritten.push(artifact.path);
+      } else {
+        result.created.push(artifact.path);
+      }
+
+      if (!this.dryRun) {
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, artifact.content);
+      }
+    }
+
+    if (!this.dryRun) {
+      this.recordInState(phase.num, result);
+    }
+
+    return result;
+  }
+
+  recordInState(phaseNum, result) {
+    const { ScaffoldState } = require('./scaffold-state');
+    const state = new ScaffoldState(this.workspaceRoot).init();
+    state.recordAppliedArtifacts(phaseNum, {
+      created: result.created,
+      overwritten: result.overwritten,
+      pendingUpdates: result.updates.map(u => u.target),
+    });
+  }
+
+  report(phaseNum, result) {
+    if (this.dryRun) {
+      console.log('🔍 DRY RUN — no files written');
+      console.log('');
+      console.log('Planned writes:');
+      if (result.created.length + result.overwritten.length === 0) {
+        console.log('   (none)');
+      }
+      result.created.forEach(f => console.log(`   + ${f} (create)`));
+      result.overwritten.forEach(f => console.log(`   ~ ${f} (overwrite)`));
+    } else {
+      result.created.forEach(f => this.log('✅', `Created ${f}`));
+      result.overwritten.forEach(f => this.log('♻️', `Overwrote ${f}`));
+    }
+
+    if (result.unchanged.length > 0) {
+      console.log('');
+      this.log('ℹ️', `${result.unchanged.length} file(s) already match the document`);
+    }
+
+    if (result.omitted.length > 0) {
+      console.log('');
+      this.log('⏭️', `${result.omitted.length} file(s) not needed by configuration:`);
+      result.omitted.forEach(o => console.log(`   - ${o.path} (${o.reason})`));
+    }
+
+    if (result.refused.length > 0) {
+      console.log('');
+      this.log('⚠️', `${result.refused.length} existing file(s) differ from the document and were NOT overwritten:`);
+      result.refused.forEach(f => console.log(`   - ${f}`));
+      console.log('   Re-run with --force to overwrite them.');
+    }
+
+    if (result.updates.length > 0) {
+      console.log('');
+      this.log('✏️', `${result.updates.length} UPDATE step(s) must be applied by hand:`);
+      result.updates.forEach(u => console.log(`   - ${u.target}${u.description ? ` — ${u.description}` : ''} (${getPhaseFile(phaseNum)}:${u.line})`));
+    }
+  }
+}
+
+// CLI
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const phaseNum = parseInt(args[0]);
+
+  if (!isValidPhase(phaseNum)) {
+    console.log(`
+Apply Phase - Write a phase's artifacts from its document
+
+Usage:
+  node apply-phase.js <phase_number> [--force] [--dry-run]    (${FIRST_PHASE}-${LAST_PHASE})
+
+Options:
+  --force      Overwrite existing files that differ from the document
+  --dry-run    List planned writes without touching disk
+               (also enabled by scaffoldOptions.dryRun in scaffold-config.json)
+
+Examples:
+  node apply-phase.js 3
+  node apply-phase.js 5 --dry-run
+`);
+    process.exit(1);
+  }
+
+  try {
+    const applier = new PhaseApplier(process.cwd(), {
+      force: args.includes('--force'),
+      dryRun: args.includes('--dry-run') ? true : undefined,
+    });
+
+    console.log('');
+    console.log('═'.repeat(50));
+    console.log(`📝 APPLY PHASE ${padPhase(phaseNum)}: ${getPhase(phaseNum).name}`);
+    console.log('═'.repeat(50));
+    console.log('');
+
+    const result = applier.apply(phaseNum);
+    applier.report(phaseNum, result);
+
+    console.log('');
+    console.log('Next: Complete the UPDATE steps, then verify');
+    console.log(`  node Masterguide/scaffolding/scripts/verify-phase.js ${padPhase(phaseNum)}`);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { PhaseApplier };
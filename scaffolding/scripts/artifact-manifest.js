@@ -0,0 +1,77 @@
+/**
+ * Artifact Manifest
+ *
+ * Content fingerprints for the files a phase produced, and drift detection
+ * against them once the phase is complete.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DRIFT_ICONS = {
+  intact: '✅',
+  modified: '✏️',
+  deleted: '🗑️',
+  never_created: '❌',
+  created_late: '🆕',
+};
+
+function hashFile(fullPath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex');
+}
+
+/**
+ * Fingerprint files relative to the workspace. Missing files are recorded as null.
+ * Returns { recordedAt, files: { [path]: sha256 | null } }.
+ */
+function buildManifest(workspaceRoot, files) {
+  const manifest = { recordedAt: new Date().toISOString(), files: {} };
+  for (const file of [...new Set(files)].sort()) {
+    const fullPath = path.join(workspaceRoot, file);
+    manifest.files[file] = fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? hashFile(fullPath) : null;
+  }
+  return manifest;
+}
+
+/**
+ * Compare the workspace against a manifest.
+ * Returns [{ path, status }] with status one of:
+ *   intact, modified, deleted, never_created (missing at completion and still missing),
+ *   created_late (missing at completion, present now)
+ */
+function diffManifest(workspaceRoot, manifest) {
+  return Object.entries(manifest.files).map(([file, recorded]) => {
+    const fullPath = path.join(workspaceRoot, file);
+    const exists = fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+
+    let status;
+    if (recorded === null) {
+      status = exists ? 'created_late' : 'never_created';
+    } else if (!exists) {
+      status = 'deleted';
+    } else {
+      status = hashFile(fullPath) === recorded ? 'intact' : 'modified';
+    }
+    return { path: file, status };
+  });
+}
+
+/**
+ * Checkpoint body for .scaffolding/.phase-XX-complete (sha256sum-style lines)
+ */
+function formatCheckpoint(manifest) {
+  const lines = [`Completed: ${manifest.recordedAt}`];
+  for (const [file, hash] of Object.entries(manifest.files)) {
+    lines.push(`${hash || '-'.repeat(64)}  ${file}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  DRIFT_ICONS,
+  hashFile,
+  buildManifest,
+  diffManifest,
+  formatCheckpoint,
+};
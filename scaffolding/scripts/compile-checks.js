@@ -0,0 +1,207 @@
+/**
+ * Compile Checks
+ *
+ * Checks that a phase's generated code parses, not just that it exists:
+ *   python       byte-compiles each backend .py file the phase produced (no .pyc is written)
+ *   typescript   type-checks each TS package (nearest tsconfig.json) the phase touched
+ * Every diagnostic is mapped to a workspace-relative { file, line, column, code, message }.
+ * A check whose toolchain is not installed is skipped, not failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const BACKEND_DIR = 'packages/backend';
+
+// Type-checking a whole package can take a while on a cold cache
+const TSC_TIMEOUT_MS = 300000;
+const PYTHON_TIMEOUT_MS = 60000;
+
+// compile() is what py_compile runs, minus writing __pycache__
+const PY_COMPILE_SCRIPT = `
+import json, sys
+for path in sys.argv[1:]:
+    try:
+        with open(path, encoding='utf-8') as f:
+            compile(f.read(), path, 'exec')
+    except SyntaxError as e:
+        print(json.dumps({'file': path, 'line': e.lineno, 'column': e.offset, 'code': type(e).__name__, 'message': e.msg}))
+    except (UnicodeDecodeError, ValueError) as e:
+        print(json.dumps({'file': path, 'line': None, 'column': None, 'code': type(e).__name__, 'message': str(e)}))
+`;
+
+/**
+ * First Python interpreter on PATH, or null
+ */
+function findPython() {
+  for (const candidate of ['python3', 'python']) {
+    try {
+      execFileSync(candidate, ['--version'], { stdio: 'pipe' });
+      return candidate;
+    } catch (e) {
+      // not installed (or not runnable): try the next name
+    }
+  }
+  return null;
+}
+
+/**
+ * The package's (or the workspace root's) installed tsc, or null
+ */
+function findTsc(workspaceRoot, packageDir) {
+  return [packageDir, '.']
+    .map(dir => path.join(workspaceRoot, dir, 'node_modules', '.bin', process.platform === 'win32' ? 'tsc.cmd' : 'tsc'))
+    .find(bin => fs.existsSync(bin)) || null;
+}
+
+/**
+ * Nearest directory at or above a file that holds a tsconfig.json (workspace-relative), or null
+ */
+function findTsPackage(workspaceRoot, file) {
+  let dir = path.dirname(file);
+  while (dir !== '.' && dir !== path.dirname(dir)) {
+    if (fs.existsSync(path.join(workspaceRoot, dir, 'tsconfig.json'))) return dir;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Workspace-relative, forward-slash path for a path printed by a tool
+ */
+function toWorkspacePath(workspaceRoot, file) {
+  return path.relative(workspaceRoot, path.resolve(workspaceRoot, file)).split(path.sep).join('/');
+}
+
+/**
+ * "file.ts(12,5): error TS2322: msg" lines of `tsc --pretty false` → diagnostics.
+ * tsc prints paths relative to its cwd (the workspace root); package-relative ones are resolved too.
+ * Errors without a location (e.g. a broken tsconfig) are attributed to the tsconfig.
+ */
+function parseTscOutput(workspaceRoot, packageDir, output) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const located = line.match(/^(.+?)\((\d+),(\d+)\): error (TS\d+): (.*)$/);
+    if (located) {
+      const inPackage = path.join(packageDir, located[1]);
+      const file = !fs.existsSync(path.resolve(workspaceRoot, located[1])) && fs.existsSync(path.resolve(workspaceRoot, inPackage))
+        ? inPackage
+        : located[1];
+      diagnostics.push({
+        file: toWorkspacePath(workspaceRoot, file),
+        line: Number(located[2]),
+        column: Number(located[3]),
+        code: located[4],
+        message: located[5],
+      });
+      continue;
+    }
+    const global = line.match(/^error (TS\d+): (.*)$/);
+    if (global) {
+      diagnostics.push({ file: `${packageDir}/tsconfig.json`, line: null, column: null, code: global[1], message: global[2] });
+    }
+  }
+  return diagnostics;
+}
+
+function checkPython(workspaceRoot, files) {
+  const target = `${files.length} backend Python file(s)`;
+  const python = findPython();
+  if (!python) {
+    return { name: 'Python byte-compile', language: 'python', target, skipped: 'python3 not found', diagnostics: [] };
+  }
+
+  let output;
+  try {
+    output = execFileSync(python, ['-c', PY_COMPILE_SCRIPT, ...files], {
+      cwd: workspaceRoot,
+      encoding: 'utf-8',
+      stdio: 'pipe',
+      timeout: PYTHON_TIMEOUT_MS,
+    });
+  } catch (error) {
+    return {
+      name: 'Python byte-compile',
+      language: 'python',
+      target,
+      diagnostics: [{ file: files[0], line: null, column: null, code: 'error', message: (error.stderr || error.message).toString().trim() }],
+    };
+  }
+
+  const diagnostics = output.split('\n').filter(Boolean).map(line => {
+    const d = JSON.parse(line);
+    return { ...d, file: toWorkspacePath(workspaceRoot, d.file) };
+  });
+  return { name: 'Python byte-compile', language: 'python', target, diagnostics };
+}
+
+function checkTypeScript(workspaceRoot, packageDir) {
+  const name = `TypeScript type-check (${packageDir})`;
+  const tsc = findTsc(workspaceRoot, packageDir);
+  if (!tsc) {
+    return { name, language: 'typescript', target: packageDir, skipped: 'typescript not installed (run pnpm install)', diagnostics: [] };
+  }
+
+  try {
+    execFileSync(tsc, ['--noEmit', '--pretty', 'false', '-p', packageDir], {
+      cwd: workspaceRoot,
+      encoding: 'utf-8',
+      stdio: 'pipe',
+      timeout: TSC_TIMEOUT_MS,
+    });
+    return { name, language: 'typescript', target: packageDir, diagnostics: [] };
+  } catch (error) {
+    const output = `${error.stdout || ''}${error.stderr || ''}`;
+    const diagnostics = parseTscOutput(workspaceRoot, packageDir, output);
+    if (diagnostics.length === 0) {
+      // tsc died without diagnostics (timeout, crash): still a failure
+      diagnostics.push({ file: `${packageDir}/tsconfig.json`, line: null, column: null, code: 'error', message: output.trim() || error.message });
+    }
+    return { name, language: 'typescript', target: packageDir, diagnostics };
+  }
+}
+
+/**
+ * Compile checks for a phase's files (only those that exist; missing ones are
+ * left to the existence check). Returns [{ name, language, target, passed,
+ * skipped?, diagnostics, durationMs }].
+ */
+function checkCompilation(workspaceRoot, files) {
+  const existing = files.filter(file => fs.existsSync(path.resolve(workspaceRoot, file)));
+  const timed = (run) => {
+    const start = Date.now();
+    const check = run();
+    return { ...check, passed: check.diagnostics.length === 0, durationMs: Date.now() - start };
+  };
+
+  const checks = [];
+  const pythonFiles = existing.filter(file => file.startsWith(`${BACKEND_DIR}/`) && file.endsWith('.py'));
+  if (pythonFiles.length > 0) {
+    checks.push(timed(() => checkPython(workspaceRoot, pythonFiles)));
+  }
+
+  const tsPackages = [...new Set(existing
+    .filter(file => /\.tsx?$/.test(file))
+    .map(file => findTsPackage(workspaceRoot, file))
+    .filter(Boolean))];
+  for (const packageDir of tsPackages) {
+    checks.push(timed(() => checkTypeScript(workspaceRoot, packageDir)));
+  }
+  return checks;
+}
+
+/**
+ * "file:line:column - error CODE: message", the form tsc prints and failure-classifier.js recognizes
+ */
+function formatDiagnostic(d) {
+  const location = [d.file, d.line, d.column].filter(v => v !== null && v !== undefined).join(':');
+  return `${location} - error ${d.code}: ${d.message}`;
+}
+
+module.exports = {
+  findPython,
+  checkCompilation,
+  formatDiagnostic,
+  parseTscOutput,
+};
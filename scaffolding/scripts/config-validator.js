@@ -0,0 +1,199 @@
+/**
+ * Config Validator
+ *
+ * Validates scaffold-config.json against scaffold-config.schema.json.
+ * Implements the draft-07 subset the schema uses (type, enum, pattern, required,
+ * minimum/maximum, items, properties, default) with no external dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SCAFFOLDING_DIR, PHASE_NUMBERS, isValidPhase } = require('./phase-registry');
+
+const SCHEMA_PATH = path.join(SCAFFOLDING_DIR, 'scaffold-config.schema.json');
+
+class ConfigValidationError extends Error {
+  constructor(errors, configPath = null) {
+    const where = configPath ? ` (${configPath})` : '';
+    super(`Invalid scaffold config${where}:\n${errors.map(e => `  ${e.path || '/'}: ${e.message}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+    this.configPath = configPath;
+  }
+}
+
+function loadSchema(schemaPath = SCHEMA_PATH) {
+  return JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+}
+
+/**
+ * Append a property name or index to a JSON pointer (RFC 6901 escaping)
+ */
+function pointer(base, key) {
+  return `${base}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema node. Returns [{ path, message }].
+ */
+function validate(schema, value, at = '') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return errors; // Further keywords would only add noise
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+    const allowed = schema.enum.map(v => JSON.stringify(v)).join(', ');
+    errors.push({ path: at, message: `must be one of ${allowed} (got ${JSON.stringify(value)})` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match pattern ${schema.pattern} (got ${JSON.stringify(value)})` });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, pointer(at, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: pointer(at, key), message: 'is required' });
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validate(propSchema, value[key], pointer(at, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in schema defaults for missing properties of objects that are present.
+ * Returns a new value; the input is not mutated.
+ */
+function applyDefaults(schema, value) {
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => applyDefaults(schema.items, item));
+  }
+  if (typeOf(value) !== 'object' || !schema.properties) {
+    return value;
+  }
+
+  const result = { ...value };
+  for (const [key, propSchema] of Object.entries(schema.properties)) {
+    if (!(key in result) && propSchema.default !== undefined) {
+      result[key] = JSON.parse(JSON.stringify(propSchema.default));
+    } else if (key in result) {
+      result[key] = applyDefaults(propSchema, result[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Checks the schema cannot express: skipPhases must name registered phases
+ */
+function validateAgainstRegistry(config) {
+  const errors = [];
+  const skipPhases = config?.scaffoldOptions?.skipPhases;
+  if (Array.isArray(skipPhases)) {
+    skipPhases.forEach((num, i) => {
+      if (Number.isInteger(num) && !isValidPhase(num)) {
+        errors.push({
+          path: `/scaffoldOptions/skipPhases/${i}`,
+          message: `must be a registered phase ${PHASE_NUMBERS[0]}-${PHASE_NUMBERS[PHASE_NUMBERS.length - 1]} (got ${num})`,
+        });
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate a parsed config. Returns { valid, errors, config } where config has defaults applied.
+ */
+function validateConfig(config, schema = loadSchema()) {
+  const schemaErrors = validate(schema, config);
+  const reported = new Set(schemaErrors.map(e => e.path));
+  const errors = [...schemaErrors, ...validateAgainstRegistry(config).filter(e => !reported.has(e.path))];
+  return {
+    valid: errors.length === 0,
+    errors,
+    config: errors.length === 0 ? applyDefaults(schema, config) : config,
+  };
+}
+
+/**
+ * Read, validate and default a config file. Throws ConfigValidationError if invalid.
+ */
+function loadConfig(configPath, schema = loadSchema()) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (e) {
+    throw new ConfigValidationError([{ path: '', message: `is not valid JSON (${e.message})` }], configPath);
+  }
+
+  const result = validateConfig(raw, schema);
+  if (!result.valid) {
+    throw new ConfigValidationError(result.errors, configPath);
+  }
+  return result.config;
+}
+
+module.exports = {
+  ConfigValidationError,
+  SCHEMA_PATH,
+  loadSchema,
+  validate,
+  applyDefaults,
+  validateConfig,
+  loadConfig,
+};
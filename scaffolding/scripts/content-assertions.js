@@ -0,0 +1,136 @@
+/**
+ * Content Assertions
+ *
+ * Checks that an artifact holds what its phase promised, not just that it exists.
+ * Assertions are declared per phase in phase-registry.js as { file, kind, ... }:
+ *   python-class     { name }  module defines `class <name>`
+ *   python-function  { name }  module defines `def <name>` / `async def <name>`
+ *   ts-export        { name }  file exports <name> ("default" and "*" allowed)
+ *   contains         { text }  file contains the literal text
+ *   json-key         { key }   JSON file has the (dotted) key
+ *   non-empty                  file has non-whitespace content (implied for every expected file)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Files that are legitimately empty
+const MAY_BE_EMPTY = ['__init__.py', '.gitkeep'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function tsExports(source, name) {
+  if (name === 'default') return /^export\s+default\b/m.test(source);
+  if (name === '*') return /^export\s+\*\s+from\b/m.test(source);
+
+  const id = escapeRegExp(name);
+  const declaration = new RegExp(
+    `^export\\s+(?:declare\\s+)?(?:async\\s+)?(?:function\\*?|class|const|let|var|interface|type|enum|abstract\\s+class)\\s+${id}\\b`,
+    'm'
+  );
+  if (declaration.test(source)) return true;
+
+  // export { a, b as c } — matches the exported name
+  for (const [, list] of source.matchAll(/^export\s+(?:type\s+)?\{([^}]*)\}/gm)) {
+    const names = list.split(',').map(s => s.trim().split(/\s+as\s+/).pop().trim());
+    if (names.includes(name)) return true;
+  }
+  return false;
+}
+
+function hasJsonKey(source, key) {
+  let value = JSON.parse(source);
+  for (const part of key.split('.')) {
+    if (value === null || typeof value !== 'object' || !(part in value)) return false;
+    value = value[part];
+  }
+  return true;
+}
+
+/**
+ * Human-readable expectation, e.g. "defines class CircuitBreaker"
+ */
+function describeAssertion(assertion) {
+  switch (assertion.kind) {
+    case 'python-class': return `defines class ${assertion.name}`;
+    case 'python-function': return `defines function ${assertion.name}()`;
+    case 'ts-export':
+      if (assertion.name === 'default') return 'has a default export';
+      if (assertion.name === '*') return 're-exports a module (export * from ...)';
+      return `exports ${assertion.name}`;
+    case 'contains': return `contains "${assertion.text}"`;
+    case 'json-key': return `has JSON key "${assertion.key}"`;
+    case 'non-empty': return 'is not empty';
+    default: return `${assertion.kind} (unknown assertion)`;
+  }
+}
+
+/**
+ * Evaluate one assertion against the workspace.
+ * Returns { passed, file, expectation, detail? }.
+ */
+function evaluateAssertion(workspaceRoot, assertion) {
+  const result = { passed: false, file: assertion.file, expectation: describeAssertion(assertion) };
+  const fullPath = path.resolve(workspaceRoot, assertion.file);
+
+  if (!fs.existsSync(fullPath)) {
+    return { ...result, detail: 'file is missing' };
+  }
+  const source = fs.readFileSync(fullPath, 'utf-8');
+
+  switch (assertion.kind) {
+    case 'python-class':
+      result.passed = new RegExp(`^class\\s+${escapeRegExp(assertion.name)}\\b`, 'm').test(source);
+      break;
+    case 'python-function':
+      result.passed = new RegExp(`^(?:async\\s+)?def\\s+${escapeRegExp(assertion.name)}\\s*\\(`, 'm').test(source);
+      break;
+    case 'ts-export':
+      result.passed = tsExports(source, assertion.name);
+      break;
+    case 'contains':
+      result.passed = source.includes(assertion.text);
+      break;
+    case 'json-key':
+      try {
+        result.passed = hasJsonKey(source, assertion.key);
+      } catch (e) {
+        return { ...result, detail: `invalid JSON (${e.message})` };
+      }
+      break;
+    case 'non-empty':
+      result.passed = source.trim().length > 0;
+      break;
+    default:
+      return { ...result, detail: `unknown assertion kind "${assertion.kind}"` };
+  }
+  return result;
+}
+
+/**
+ * Check the contents of a phase's files.
+ * Every existing file must be non-empty, then the declared assertions are evaluated.
+ * Missing files are left to the existence check. Returns the list of results,
+ * each with its durationMs.
+ */
+function checkContent(workspaceRoot, files, assertions = []) {
+  const exists = (file) => fs.existsSync(path.resolve(workspaceRoot, file));
+
+  const implied = files
+    .filter(file => exists(file) && !MAY_BE_EMPTY.includes(path.basename(file)))
+    .map(file => ({ file, kind: 'non-empty' }));
+
+  return [...implied, ...assertions.filter(a => exists(a.file))]
+    .map(assertion => {
+      const start = Date.now();
+      return { ...evaluateAssertion(workspaceRoot, assertion), durationMs: Date.now() - start };
+    });
+}
+
+module.exports = {
+  describeAssertion,
+  evaluateAssertion,
+  checkContent,
+};
@@ -0,0 +1,274 @@
+/**
+ * Environment Consistency
+ *
+ * Compares the four places that declare environment variables:
+ *   .env.example                          what a developer copies to .env
+ *   apps/web/lib/env.ts                   the frontend's zod schemas (server and client)
+ *   packages/backend/src/config.py        the backend's pydantic Settings
+ *   NextStepsGenerator.generateEnvSetup() the variables NEXT_STEPS.md tells the developer to set
+ * prints a matrix of which layer declares which variable, and reports:
+ *   undocumented         env.ts or config.py reads it, .env.example does not list it
+ *   unread               .env.example or NEXT_STEPS.md lists it, neither env.ts nor config.py reads it
+ *   not-in-next-steps    env.ts or config.py requires it, NEXT_STEPS.md never says to set it
+ *   public-secret        a NEXT_PUBLIC_ variable (inlined into the browser bundle) holds a server secret
+ * A layer whose file does not exist yet is left out of the comparison.
+ *
+ * Usage: node env-consistency.js [--format text|json|junit]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NextStepsGenerator } = require('./generate-next-steps');
+const { parseFormatArg, routeLogsToStderr, toJUnitXml } = require('./report-format');
+
+const NAME = '[A-Z_][A-Z0-9_]*';
+
+// Parts of a NEXT_PUBLIC_ name that mean a server-only value. ANON_KEY and
+// PUBLISHABLE_KEY are designed to be public.
+const SECRET_PATTERN = /SECRET|SERVICE_ROLE|PRIVATE|PASSWORD|CREDENTIAL|TOKEN|DATABASE_URL|DIRECT_URL|REDIS_URL|(?:^|_)API_KEY$/;
+
+const LAYERS = [
+  { id: 'example', label: '.env.example', file: '.env.example', reads: false },
+  { id: 'web', label: 'env.ts', file: 'apps/web/lib/env.ts', reads: true },
+  { id: 'backend', label: 'config.py', file: 'packages/backend/src/config.py', reads: true },
+  { id: 'nextSteps', label: 'NEXT_STEPS', file: 'generate-next-steps.js generateEnvSetup()', reads: false },
+];
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * NAME=value lines of a dotenv file: [{ name, line }]
+ */
+function parseDotenv(text) {
+  return [...text.matchAll(new RegExp(`^[ \\t]*(?:export[ \\t]+)?(${NAME})[ \\t]*=`, 'gm'))]
+    .map(m => ({ name: m[1], line: lineOf(text, m.index) }));
+}
+
+/**
+ * Keys of the z.object({...}) schemas in env.ts: [{ name, line, required, scope }]
+ * (scope is the schema variable minus "Schema": "server", "client")
+ */
+function parseZodSchemas(text) {
+  const vars = [];
+  for (const schema of text.matchAll(/const (\w+?)(?:Schema)? = z\.object\(\{([\s\S]*?)\n\}\)/g)) {
+    const bodyStart = schema.index + schema[0].indexOf('{') + 1;
+    for (const key of schema[2].matchAll(new RegExp(`^[ \\t]*(${NAME})[ \\t]*:[ \\t]*(z\\..*)$`, 'gm'))) {
+      vars.push({
+        name: key[1],
+        line: lineOf(text, bodyStart + key.index),
+        required: !/\.(?:optional|nullish|default)\(/.test(key[2]),
+        scope: schema[1],
+      });
+    }
+  }
+  return vars;
+}
+
+/**
+ * Fields of the BaseSettings classes in config.py: [{ name, line, required }]
+ */
+function parseSettings(text) {
+  const vars = [];
+  for (const cls of text.matchAll(/^class \w+\([^)]*BaseSettings[^)]*\):\n((?:[ \t]+.*\n|\s*\n)*)/gm)) {
+    const bodyStart = cls.index + cls[0].indexOf('\n') + 1;
+    for (const field of cls[1].matchAll(new RegExp(`^    (${NAME})[ \\t]*:[^=\\n]+?(?:=[ \\t]*(.*))?$`, 'gm'))) {
+      const value = field[2];
+      vars.push({
+        name: field[1],
+        line: lineOf(text, bodyStart + field.index),
+        required: value === undefined || /^Field\(\s*\.\.\./.test(value),
+      });
+    }
+  }
+  return vars;
+}
+
+/**
+ * Variables NEXT_STEPS.md's environment section tells the developer to set
+ */
+function parseNextSteps(workspaceRoot) {
+  const section = new NextStepsGenerator(workspaceRoot).generateEnvSetup();
+  return parseDotenv(section).map(v => ({ name: v.name }));
+}
+
+function readLayer(workspaceRoot, layer) {
+  if (layer.id === 'nextSteps') return parseNextSteps(workspaceRoot);
+  const file = path.join(workspaceRoot, layer.file);
+  if (!fs.existsSync(file)) return null;
+  const text = fs.readFileSync(file, 'utf-8');
+  if (layer.id === 'example') return parseDotenv(text);
+  if (layer.id === 'web') return parseZodSchemas(text);
+  return parseSettings(text);
+}
+
+/**
+ * Compare the layers. Returns { layers: [{ id, label, file, present }],
+ * variables: [{ name, layers: { id: { line?, required?, scope? } } }],
+ * issues: [{ kind, name, file, line?, message }], passed }.
+ */
+function checkEnvConsistency(workspaceRoot = process.cwd()) {
+  const declared = {};
+  const layers = LAYERS.map(layer => {
+    const vars = readLayer(workspaceRoot, layer);
+    declared[layer.id] = new Map((vars || []).map(v => [v.name, v]));
+    return { ...layer, present: vars !== null };
+  });
+  const present = Object.fromEntries(layers.map(l => [l.id, l.present]));
+  const fileOf = Object.fromEntries(layers.map(l => [l.id, l.file]));
+
+  const names = [...new Set(Object.values(declared).flatMap(m => [...m.keys()]))].sort();
+  const variables = names.map(name => ({
+    name,
+    layers: Object.fromEntries(layers.filter(l => declared[l.id].has(name)).map(l => {
+      const { name: _, ...info } = declared[l.id].get(name);
+      return [l.id, info];
+    })),
+  }));
+
+  const issues = [];
+  const issue = (kind, name, layerId, message) => {
+    const at = declared[layerId].get(name);
+    issues.push({ kind, name, file: fileOf[layerId], ...(at?.line ? { line: at.line } : {}), message });
+  };
+  const readers = LAYERS.filter(l => l.reads && present[l.id]);
+  const readBy = (name) => readers.filter(l => declared[l.id].has(name)).map(l => l.label);
+
+  for (const { name } of variables) {
+    const readingLayers = readers.filter(l => declared[l.id].has(name));
+    const required = readingLayers.filter(l => declared[l.id].get(name).required);
+
+    if (present.example && readingLayers.length > 0 && !declared.example.has(name)) {
+      issue('undocumented', name, readingLayers[0].id, `${name} is read by ${readBy(name).join(' and ')} but missing from .env.example`);
+    }
+    if (readers.length > 0 && readingLayers.length === 0) {
+      for (const id of ['example', 'nextSteps'].filter(id => declared[id].has(name))) {
+        const where = id === 'example' ? '.env.example lists' : 'NEXT_STEPS.md says to set';
+        issue('unread', name, id, `${where} ${name}, but neither env.ts nor config.py reads it`);
+      }
+    }
+    if (required.length > 0 && !declared.nextSteps.has(name)) {
+      issue('not-in-next-steps', name, required[0].id, `${name} is required by ${required.map(l => l.label).join(' and ')} but NEXT_STEPS.md never says to set it`);
+    }
+    if (name.startsWith('NEXT_PUBLIC_') && SECRET_PATTERN.test(name.slice('NEXT_PUBLIC_'.length))) {
+      const first = LAYERS.find(l => declared[l.id].has(name));
+      issue('public-secret', name, first.id, `${name} looks like a server secret, but NEXT_PUBLIC_ variables are inlined into the browser bundle — drop the prefix and read it server-side`);
+    }
+  }
+
+  return {
+    layers: layers.map(({ id, label, file, present: exists }) => ({ id, label, file, present: exists })),
+    variables,
+    issues,
+    passed: issues.length === 0,
+  };
+}
+
+/**
+ * "file:line message" (or "file message") for an issue
+ */
+function formatIssue(issue) {
+  return `${[issue.file, issue.line].filter(Boolean).join(':')} ${issue.message}`;
+}
+
+/**
+ * Text matrix: one row per variable, one column per layer
+ * (✓ declared, "req" / "opt" for the layers that read it, · absent)
+ */
+function formatMatrix(report) {
+  const layers = report.layers.filter(l => l.present);
+  const nameWidth = Math.max(8, ...report.variables.map(v => v.name.length));
+  const cell = (v, layer) => {
+    const info = v.layers[layer.id];
+    if (!info) return '·';
+    if (!LAYERS.find(l => l.id === layer.id).reads) return '✓';
+    return info.required ? 'req' : 'opt';
+  };
+  const widths = layers.map(l => Math.max(l.label.length, 3));
+  const row = (first, cells) => [first.padEnd(nameWidth), ...cells.map((c, i) => c.padEnd(widths[i]))].join('  ').trimEnd();
+
+  const issueNames = new Set(report.issues.map(i => i.name));
+  return [
+    row('Variable', layers.map(l => l.label)),
+    row('-'.repeat(nameWidth), widths.map(w => '-'.repeat(w))),
+    ...report.variables.map(v => `${row(v.name, layers.map(l => cell(v, l)))}${issueNames.has(v.name) ? '  ❌' : ''}`),
+  ].join('\n');
+}
+
+/**
+ * JUnit suites: one case per variable, failed with its issues
+ */
+function toSuites(report) {
+  return [{
+    name: 'env-consistency',
+    cases: report.variables.map(v => {
+      const issues = report.issues.filter(i => i.name === v.name);
+      return {
+        name: v.name,
+        status: issues.length > 0 ? 'failed' : 'passed',
+        message: issues.map(i => i.kind).join(', ') || undefined,
+        stderr: issues.map(formatIssue).join('\n') || undefined,
+        durationMs: 0,
+      };
+    }),
+  }];
+}
+
+// CLI
+if (require.main === module) {
+  let format;
+  try {
+    ({ format } = parseFormatArg(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (format !== 'text') {
+    routeLogsToStderr();
+  }
+
+  const startedAt = new Date().toISOString();
+  const report = checkEnvConsistency();
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.passed ? 0 : 1);
+  }
+  if (format === 'junit') {
+    process.stdout.write(toJUnitXml('env-consistency', toSuites(report), startedAt));
+    process.exit(report.passed ? 0 : 1);
+  }
+
+  console.log('');
+  console.log('═'.repeat(50));
+  console.log('🔐 ENVIRONMENT VARIABLE CONSISTENCY');
+  console.log('═'.repeat(50));
+  console.log('');
+
+  for (const layer of report.layers.filter(l => !l.present)) {
+    console.log(`⏭️  ${layer.file} not found — left out`);
+  }
+  console.log(formatMatrix(report));
+  console.log('');
+  console.log('   ✓ listed   req/opt read as required/optional   · not declared');
+  console.log('');
+
+  if (report.passed) {
+    console.log(`✅ ${report.variables.length} variable(s) agree across ${report.layers.filter(l => l.present).length} layer(s)`);
+  } else {
+    console.log(`❌ ${report.issues.length} issue(s):`);
+    report.issues.forEach(i => console.log(`   - ${formatIssue(i)}`));
+  }
+  process.exit(report.passed ? 0 : 1);
+}
+
+module.exports = {
+  LAYERS,
+  parseDotenv,
+  parseZodSchemas,
+  parseSettings,
+  checkEnvConsistency,
+  formatIssue,
+  formatMatrix,
+  toSuites,
+};
@@ -0,0 +1,237 @@
+/**
+ * Error Parity
+ *
+ * Phase 03 writes the error taxonomy twice: packages/types/src/errors.ts (ErrorCode and
+ * ErrorStatusMap) for the frontend and packages/backend/src/exceptions.py (the ErrorCode
+ * enum and AppError subclasses) for the backend. This check extracts both and reports:
+ *   ts-only           a code only errors.ts defines (the backend never sends it)
+ *   python-only       a code only exceptions.py defines (the frontend cannot type it)
+ *   status-missing    a TypeScript code with no ErrorStatusMap entry
+ *   status-mismatch   a Python exception class responds with another status than ErrorStatusMap says
+ *
+ * Usage: node error-parity.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TS_ERRORS = 'packages/types/src/errors.ts';
+const PY_EXCEPTIONS = 'packages/backend/src/exceptions.py';
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * ErrorCode and ErrorStatusMap from errors.ts:
+ * { codes: Map(value → { key, line }), statuses: Map(value → { status, line }) }
+ */
+function parseTsErrors(text) {
+  const codes = new Map();
+  const keyToValue = new Map();
+  const codeBlock = text.match(/export const ErrorCode\s*=\s*\{([\s\S]*?)\n\}/);
+  if (codeBlock) {
+    const start = codeBlock.index + codeBlock[0].indexOf('{') + 1;
+    for (const m of codeBlock[1].matchAll(/^[ \t]*(\w+)\s*:\s*['"]([^'"]+)['"]/gm)) {
+      codes.set(m[2], { key: m[1], line: lineOf(text, start + m.index) });
+      keyToValue.set(m[1], m[2]);
+    }
+  }
+
+  const statuses = new Map();
+  const statusBlock = text.match(/export const ErrorStatusMap\b[^=]*=\s*\{([\s\S]*?)\n\}/);
+  if (statusBlock) {
+    const start = statusBlock.index + statusBlock[0].indexOf('{') + 1;
+    for (const m of statusBlock[1].matchAll(/^[ \t]*(?:\[ErrorCode\.(\w+)\]|['"]?(\w+)['"]?)\s*:\s*(\d{3})/gm)) {
+      const code = m[1] ? keyToValue.get(m[1]) || m[1] : m[2];
+      statuses.set(code, { status: Number(m[3]), line: lineOf(text, start + m.index) });
+    }
+  }
+  return { codes, statuses };
+}
+
+/**
+ * ErrorCode enum and exception classes from exceptions.py:
+ * { codes: Map(value → { key, line }), classes: [{ name, base, code, status, overrides, line }] }
+ * A class's code and status_code are inherited from its base unless it overrides them.
+ */
+function parsePyExceptions(text) {
+  const codes = new Map();
+  const keyToValue = new Map();
+  const classes = [];
+
+  for (const cls of text.matchAll(/^class (\w+)\(([^)]*)\):\n((?:[ \t]+.*\n|[ \t]*\n)*)/gm)) {
+    const [, name, bases, body] = cls;
+    const bodyStart = cls.index + cls[0].indexOf('\n') + 1;
+
+    if (name === 'ErrorCode' && /\bEnum\b/.test(bases)) {
+      for (const m of body.matchAll(/^[ \t]+(\w+)\s*=\s*['"]([^'"]+)['"]/gm)) {
+        codes.set(m[2], { key: m[1], line: lineOf(text, bodyStart + m.index) });
+        keyToValue.set(m[1], m[2]);
+      }
+      continue;
+    }
+
+    const code = body.match(/^[ \t]+code\s*:[^=\n]*=\s*(?:field\(\s*default\s*=\s*)?ErrorCode\.(\w+)/m);
+    const status = body.match(/^[ \t]+status_code\s*:[^=\n]*=\s*(\d{3})/m);
+    classes.push({
+      name,
+      base: bases.split(',')[0].trim(),
+      codeKey: code ? code[1] : null,
+      status: status ? Number(status[1]) : null,
+      line: lineOf(text, cls.index),
+    });
+  }
+
+  // Resolve inheritance: only AppError descendants are exceptions the API returns
+  const byName = new Map(classes.map(c => [c.name, c]));
+  const resolve = (c, field, seen = new Set()) => {
+    if (!c || seen.has(c.name)) return null;
+    seen.add(c.name);
+    return c[field] ?? resolve(byName.get(c.base), field, seen);
+  };
+  const isAppError = (c, seen = new Set()) => {
+    if (!c || seen.has(c.name)) return false;
+    seen.add(c.name);
+    return c.name === 'AppError' || isAppError(byName.get(c.base), seen);
+  };
+
+  return {
+    codes,
+    classes: classes.filter(c => isAppError(c)).map(c => {
+      const codeKey = resolve(c, 'codeKey');
+      return {
+        name: c.name,
+        base: c.base,
+        code: codeKey ? keyToValue.get(codeKey) || codeKey : null,
+        status: resolve(c, 'status'),
+        overrides: c.codeKey !== null || c.status !== null,
+        line: c.line,
+      };
+    }),
+  };
+}
+
+/**
+ * Why the check cannot run yet (a side is missing), or null
+ */
+function getSkipReason(workspaceRoot = process.cwd()) {
+  const missing = [TS_ERRORS, PY_EXCEPTIONS].filter(file => !fs.existsSync(path.join(workspaceRoot, file)));
+  return missing.length > 0 ? `${missing.join(' and ')} not found` : null;
+}
+
+/**
+ * Compare both sides. Returns { codes: [{ code, ts, python, status, classes: [{ name, status }] }],
+ * issues: [{ kind, code, file, line, message }], passed }.
+ */
+function checkErrorParity(workspaceRoot = process.cwd()) {
+  const ts = parseTsErrors(fs.readFileSync(path.join(workspaceRoot, TS_ERRORS), 'utf-8'));
+  const py = parsePyExceptions(fs.readFileSync(path.join(workspaceRoot, PY_EXCEPTIONS), 'utf-8'));
+  const issues = [];
+
+  const allCodes = [...new Set([...ts.codes.keys(), ...py.codes.keys()])];
+  for (const code of allCodes) {
+    if (!py.codes.has(code)) {
+      issues.push({
+        kind: 'ts-only',
+        code,
+        file: TS_ERRORS,
+        line: ts.codes.get(code).line,
+        message: `${code} is in ErrorCode here but not in the ErrorCode enum of ${PY_EXCEPTIONS}`,
+      });
+    } else if (!ts.codes.has(code)) {
+      issues.push({
+        kind: 'python-only',
+        code,
+        file: PY_EXCEPTIONS,
+        line: py.codes.get(code).line,
+        message: `${code} is in the ErrorCode enum here but not in ErrorCode of ${TS_ERRORS}`,
+      });
+    }
+    if (ts.codes.has(code) && !ts.statuses.has(code)) {
+      issues.push({
+        kind: 'status-missing',
+        code,
+        file: TS_ERRORS,
+        line: ts.codes.get(code).line,
+        message: `${code} has no ErrorStatusMap entry`,
+      });
+    }
+  }
+
+  // Classes that inherit both code and status share their base's result
+  for (const cls of py.classes.filter(c => c.overrides && c.code && c.status !== null)) {
+    const expected = ts.statuses.get(cls.code);
+    if (expected && expected.status !== cls.status) {
+      issues.push({
+        kind: 'status-mismatch',
+        code: cls.code,
+        file: PY_EXCEPTIONS,
+        line: cls.line,
+        message: `${cls.name} responds ${cls.status} with ${cls.code}, but ErrorStatusMap (${TS_ERRORS}:${expected.line}) says ${expected.status}`,
+      });
+    }
+  }
+
+  return {
+    codes: allCodes.map(code => ({
+      code,
+      ts: ts.codes.has(code),
+      python: py.codes.has(code),
+      status: ts.statuses.get(code)?.status ?? null,
+      classes: py.classes.filter(c => c.code === code).map(c => ({ name: c.name, status: c.status })),
+    })),
+    issues,
+    passed: issues.length === 0,
+  };
+}
+
+/**
+ * "file:line message" for an issue
+ */
+function formatIssue(issue) {
+  return `${issue.file}:${issue.line} ${issue.message}`;
+}
+
+// CLI
+if (require.main === module) {
+  console.log('');
+  console.log('═'.repeat(50));
+  console.log('🧯 ERROR CODE PARITY');
+  console.log('═'.repeat(50));
+  console.log('');
+
+  const skipReason = getSkipReason();
+  if (skipReason) {
+    console.log(`ℹ️  ${skipReason} (run Phase 03 first)`);
+    process.exit(0);
+  }
+
+  const report = checkErrorParity();
+  const failing = new Set(report.issues.map(i => i.code));
+  const width = Math.max(...report.codes.map(c => c.code.length));
+  for (const c of report.codes) {
+    const sides = c.ts && c.python ? 'ts+py' : c.ts ? 'ts   ' : '   py';
+    const classes = c.classes.map(k => `${k.name} (${k.status})`).join(', ') || '—';
+    console.log(`${failing.has(c.code) ? '❌' : '✅'} ${c.code.padEnd(width)}  ${sides}  ${String(c.status ?? '—').padEnd(3)}  ${classes}`);
+  }
+
+  console.log('');
+  if (report.passed) {
+    console.log(`✅ ${report.codes.length} error code(s) agree between ${TS_ERRORS} and ${PY_EXCEPTIONS}`);
+  } else {
+    console.log(`❌ ${report.issues.length} issue(s):`);
+    report.issues.forEach(i => console.log(`   - ${formatIssue(i)}`));
+  }
+  process.exit(report.passed ? 0 : 1);
+}
+
+module.exports = {
+  TS_ERRORS,
+  PY_EXCEPTIONS,
+  parseTsErrors,
+  parsePyExceptions,
+  getSkipReason,
+  checkErrorParity,
+  formatIssue,
+};
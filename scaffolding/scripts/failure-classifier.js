@@ -0,0 +1,163 @@
+/**
+ * Failure Classifier
+ *
+ * Sorts a phase failure message (usually the stderr of a failed command) into a
+ * category with structured details, so resume instructions can point at the
+ * right fix instead of repeating a free-text error:
+ *   external-tool-missing  { tool }                     a CLI (pnpm, supabase, python) is not installed
+ *   missing-dependency     { package, ecosystem }       a third-party package is not installed
+ *   import-error           { module, name?, ecosystem } a project module or export cannot be resolved
+ *   syntax-error           { file?, line?, column?, code?, language }  source does not parse or compile
+ *   missing-file           { file }                     an expected file does not exist
+ *   unknown                {}                           none of the above
+ */
+
+const FAILURE_CATEGORIES = {
+  'external-tool-missing': 'External tool missing',
+  'missing-dependency': 'Missing dependency',
+  'import-error': 'Import error',
+  'syntax-error': 'Syntax/compile error',
+  'missing-file': 'Missing file',
+  'unknown': 'Unclassified failure',
+};
+
+// Module prefixes that belong to the scaffolded project rather than to a registry
+const PROJECT_PYTHON_MODULES = /^(src|tests|app)(\.|$)/;
+const PROJECT_NODE_MODULES = /^(\.{1,2}\/|\/|@\/|@project\/|~\/)/;
+
+/**
+ * Top-level package of a bare import: "@scope/pkg/sub" → "@scope/pkg", "lodash/fp" → "lodash"
+ */
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+// Checked in order: the first rule whose pattern matches decides the category
+const RULES = [
+  {
+    category: 'external-tool-missing',
+    pattern: /(?:^|[\s:])([\w.-]+): (?:command )?not found/m,
+    details: m => ({ tool: m[1] }),
+  },
+  {
+    category: 'external-tool-missing',
+    pattern: /'([\w.-]+)' is not recognized as an internal or external command/,
+    details: m => ({ tool: m[1] }),
+  },
+  {
+    category: 'external-tool-missing',
+    pattern: /spawn(?:Sync)? ([\w./-]+) ENOENT/,
+    details: m => ({ tool: m[1].split('/').pop() }),
+  },
+  {
+    category: 'import-error',
+    pattern: /ImportError: cannot import name '([^']+)' from '([^']+)'/,
+    details: m => ({ module: m[2], name: m[1], ecosystem: 'python' }),
+  },
+  {
+    category: 'import-error',
+    pattern: /Module '"([^"]+)"' has no exported member '([^']+)'/,
+    details: m => ({ module: m[1], name: m[2], ecosystem: 'node' }),
+  },
+  {
+    category: 'import-error',
+    pattern: /does not provide an export named '([^']+)'[\s\S]*?from '([^']+)'|'([^']+)' is not exported by ([^\s,]+)/,
+    details: m => (m[1]
+      ? { module: m[2], name: m[1], ecosystem: 'node' }
+      : { module: m[4], name: m[3], ecosystem: 'node' }),
+  },
+  {
+    // "No module named 'x'": a project module is an import error, anything else is not installed
+    pattern: /(?:ModuleNotFoundError|ImportError)?:? ?No module named '([^']+)'/,
+    categorize: m => (PROJECT_PYTHON_MODULES.test(m[1]) ? 'import-error' : 'missing-dependency'),
+    details: m => (PROJECT_PYTHON_MODULES.test(m[1])
+      ? { module: m[1], ecosystem: 'python' }
+      : { package: m[1].split('.')[0], ecosystem: 'python' }),
+  },
+  {
+    pattern: /Cannot find module '([^']+)'/,
+    categorize: m => (PROJECT_NODE_MODULES.test(m[1]) ? 'import-error' : 'missing-dependency'),
+    details: m => (PROJECT_NODE_MODULES.test(m[1])
+      ? { module: m[1], ecosystem: 'node' }
+      : { package: packageName(m[1]), ecosystem: 'node' }),
+  },
+  {
+    category: 'missing-dependency',
+    pattern: /ERR_PNPM_(?:OUTDATED_LOCKFILE|NO_MATCHING_VERSION|FETCH_404)|node_modules missing|Run "pnpm install"/,
+    details: () => ({ ecosystem: 'node' }),
+  },
+  {
+    // Python: File "x.py", line N ... SyntaxError / IndentationError
+    category: 'syntax-error',
+    pattern: /File "([^"]+)", line (\d+)[\s\S]*?\b(SyntaxError|IndentationError|TabError)\b/,
+    details: m => ({ file: m[1], line: Number(m[2]), code: m[3], language: 'python' }),
+  },
+  {
+    // py_compile: Sorry: IndentationError: ... (file.py, line N)
+    category: 'syntax-error',
+    pattern: /\b(SyntaxError|IndentationError|TabError): .*\(([^,()]+\.py), line (\d+)\)/,
+    details: m => ({ file: m[2], line: Number(m[3]), code: m[1], language: 'python' }),
+  },
+  {
+    // compile-checks.js: file.py:12:5 - error SyntaxError: invalid syntax
+    category: 'syntax-error',
+    pattern: /([^\s:]+\.py):(\d+)(?::\d+)? - error (SyntaxError|IndentationError|TabError)\b/,
+    details: m => ({ file: m[1], line: Number(m[2]), code: m[3], language: 'python' }),
+  },
+  {
+    // tsc: file.ts(12,5): error TS2322 / file.ts:12:5 - error TS2322
+    category: 'syntax-error',
+    pattern: /([^\s(]+\.tsx?)(?:\((\d+),(\d+)\)|:(\d+):(\d+)) ?[:-] ?error (TS\d+)/,
+    details: m => ({ file: m[1], line: Number(m[2] || m[4]), column: Number(m[3] || m[5]), code: m[6], language: 'typescript' }),
+  },
+  {
+    category: 'syntax-error',
+    pattern: /\b(SyntaxError|IndentationError)\b/,
+    details: m => ({ code: m[1] }),
+  },
+  {
+    category: 'missing-file',
+    pattern: /ENOENT: no such file or directory, (?:open|stat|lstat|scandir|access) '([^']+)'/,
+    details: m => ({ file: m[1] }),
+  },
+  {
+    category: 'missing-file',
+    pattern: /No such file or directory: '([^']+)'|(?:^|\s)Missing(?: file)?: ([^\s,]+)/m,
+    details: m => ({ file: m[1] || m[2] }),
+  },
+];
+
+/**
+ * Classify a failure message.
+ * Returns { category, label, details }.
+ */
+function classifyFailure(message) {
+  const text = String(message || '');
+  for (const rule of RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+    const category = rule.categorize ? rule.categorize(match) : rule.category;
+    return { category, label: FAILURE_CATEGORIES[category], details: rule.details(match) };
+  }
+  return { category: 'unknown', label: FAILURE_CATEGORIES.unknown, details: {} };
+}
+
+/**
+ * One-line description of a classified failure, e.g.
+ * "Missing dependency (package: zod, ecosystem: node)"
+ */
+function describeFailure(failure) {
+  if (!failure) return '';
+  const label = FAILURE_CATEGORIES[failure.category] || failure.category;
+  const details = Object.entries(failure.details || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${value}`);
+  return details.length > 0 ? `${label} (${details.join(', ')})` : label;
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  classifyFailure,
+  describeFailure,
+};
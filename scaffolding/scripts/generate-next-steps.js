@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, ConfigValidationError } = require('./config-validator');
+const { nextMigrationFile } = require('./migration-order');
 
 class NextStepsGenerator {
   constructor(workspaceRoot = process.cwd()) {
@@ -17,7 +19,7 @@ class NextStepsGenerator {
 
   loadConfig() {
     if (fs.existsSync(this.configPath)) {
-      return JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+      return loadConfig(this.configPath);
     }
     // Default config if none exists
     return {
@@ -326,8 +328,11 @@ pnpm build
 ### Database Commands
 
 \`\`\`bash
-# Create new migration
-supabase migration new my_migration_name
+# Name a new migration so it sorts after the scaffolded ones (00001_, 00002_, ...)
+node Masterguide/scaffolding/scripts/migration-order.js --next my_migration_name
+
+# Check migration names and order
+node Masterguide/scaffolding/scripts/migration-order.js
 
 # Apply migrations
 supabase db push
@@ -347,7 +352,7 @@ supabase gen types typescript --local > packages/types/src/database.ts
 
 1. **Database Migration**
    \`\`\`sql
-   -- supabase/migrations/YYYYMMDD_create_projects.sql
+   -- ${nextMigrationFile(this.workspaceRoot, 'create_projects')}
    CREATE TABLE projects (
      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
@@ -470,8 +475,14 @@ If you're stuck:
 
 // CLI
 if (require.main === module) {
-  const generator = new NextStepsGenerator();
-  generator.write();
+  try {
+    const generator = new NextStepsGenerator();
+    generator.write();
+  } catch (e) {
+    if (!(e instanceof ConfigValidationError)) throw e;
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
 }
 
 module.exports = { NextStepsGenerator };
@@ -0,0 +1,323 @@
+/**
+ * Migration Order
+ *
+ * Checks the file names and apply order of supabase/migrations. Supabase applies
+ * <version>_<name>.sql files sorted by name and records each version once, so it reports:
+ *   invalid-name         no numeric version prefix (the Supabase CLI skips the file)
+ *   duplicate-version    two files share a version (the second push fails)
+ *   out-of-order         name order and version order disagree (e.g. 9_ sorts after 10_)
+ *   mixed-naming         sequence (00001_), date (YYYYMMDD_) and timestamp prefixes side by side
+ *   used-before-create   a statement alters, indexes, references or adds policies to a table
+ *                        that a later statement creates
+ * and suggests a renumbering into the phase documents' 5-digit sequence that fixes the order.
+ *
+ * Usage: node migration-order.js
+ *        node migration-order.js --next <name>    print the file name for a new migration
+ */
+
+const { listMigrations, scanMigrations, MIGRATIONS_DIR } = require('./migration-sql');
+
+// 00001_initial_schema.sql, as in 04-DATABASE.md
+const SEQUENCE_WIDTH = 5;
+
+const SCHEME_LABELS = {
+  date: 'date (YYYYMMDD_)',
+  timestamp: 'timestamp (YYYYMMDDHHMMSS_, as from supabase migration new)',
+};
+
+// Naming scheme of a file, with the width for sequences: "sequence-5", "date", "timestamp"
+function schemeOf(parsed) {
+  return parsed.scheme === 'sequence' ? `sequence-${parsed.version.length}` : parsed.scheme;
+}
+
+function schemeLabel(scheme) {
+  if (!scheme.startsWith('sequence-')) return SCHEME_LABELS[scheme];
+  const width = Number(scheme.split('-')[1]);
+  return `${width}-digit sequence (${'1'.padStart(width, '0')}_)`;
+}
+
+/**
+ * { version, label, scheme } from a migration file name, or null when Supabase would skip it
+ */
+function parseMigrationName(fileName) {
+  const m = fileName.match(/^(\d+)_(.+)\.sql$/);
+  if (!m) return null;
+  const version = m[1];
+  const validDate = (digits) => {
+    const [y, mo, d] = [digits.slice(0, 4), digits.slice(4, 6), digits.slice(6, 8)].map(Number);
+    return y >= 2000 && mo >= 1 && mo <= 12 && d >= 1 && d <= 31;
+  };
+  let scheme = 'sequence';
+  if (version.length === 14 && validDate(version)) scheme = 'timestamp';
+  else if (version.length === 8 && validDate(version)) scheme = 'date';
+  return { version, label: m[2], scheme };
+}
+
+// Position in intended order: sequences first, dates as midnight timestamps
+function orderKey(parsed) {
+  return BigInt(parsed.scheme === 'date' ? `${parsed.version}000000` : parsed.version);
+}
+
+function compareKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Tables a statement needs to exist already
+ */
+function tablesUsed(stmt) {
+  switch (stmt.kind) {
+    case 'create-table':
+      return stmt.references;
+    case 'alter-table':
+    case 'create-policy':
+      return [stmt.table, ...stmt.references];
+    case 'drop-policy':
+    case 'create-index':
+    case 'create-trigger':
+      return [stmt.table];
+    default:
+      return [];
+  }
+}
+
+function describeUse(stmt) {
+  return {
+    'create-table': 'references',
+    'alter-table': 'alters',
+    'create-policy': 'adds a policy involving',
+    'drop-policy': 'drops a policy on',
+    'create-index': 'indexes',
+    'create-trigger': 'adds a trigger to',
+  }[stmt.kind];
+}
+
+/**
+ * Tables a statement creates (CREATE TABLE, or the new name of ALTER TABLE ... RENAME TO)
+ */
+function tablesCreated(stmt) {
+  if (stmt.kind === 'create-table' && !stmt.temporary) return [stmt.table.key];
+  if (stmt.kind === 'alter-table' && stmt.action === 'rename') return [`${stmt.table.schema}.${stmt.newName}`];
+  return [];
+}
+
+/**
+ * Intended order for the renumbering: by version (dates and timestamps on one clock,
+ * invalid names last), then moved after the files that create the tables they use.
+ */
+function planOrder(migrations, statements) {
+  const intended = [...migrations].sort((a, b) => {
+    if (!a.parsed || !b.parsed) return (a.parsed ? 0 : 1) - (b.parsed ? 0 : 1) || a.name.localeCompare(b.name);
+    return compareKeys(orderKey(a.parsed), orderKey(b.parsed)) || a.name.localeCompare(b.name);
+  });
+
+  const creator = new Map(); // table key → file of its first CREATE, in intended order
+  for (const m of intended) {
+    statements.filter(s => s.file === m.file).flatMap(tablesCreated).forEach(key => {
+      if (!creator.has(key)) creator.set(key, m.file);
+    });
+  }
+  const deps = new Map(intended.map(m => [m.file, new Set(
+    statements
+      .filter(s => s.file === m.file)
+      .flatMap(tablesUsed)
+      .map(t => creator.get(t.key))
+      .filter(file => file && file !== m.file),
+  )]));
+
+  // Stable topological sort; a dependency cycle keeps the remaining files in intended order
+  const ordered = [];
+  const pending = [...intended];
+  while (pending.length > 0) {
+    const done = new Set(ordered.map(m => m.file));
+    const index = pending.findIndex(m => [...deps.get(m.file)].every(file => done.has(file)));
+    ordered.push(...pending.splice(index === -1 ? 0 : index, 1));
+  }
+  return ordered;
+}
+
+/**
+ * Audit the migration files. Returns { migrations, schemes: { scheme: [files] },
+ * issues: [{ kind, file, line?, files, message }], renames: [{ from, to }], passed }.
+ * Every issue lists the files it involves; renames is the full renumbering that fixes them.
+ */
+function auditMigrationOrder(workspaceRoot = process.cwd()) {
+  const migrations = listMigrations(workspaceRoot).map(m => ({ ...m, parsed: parseMigrationName(m.name) }));
+  const statements = scanMigrations(workspaceRoot);
+  const issues = [];
+
+  for (const m of migrations.filter(m => !m.parsed)) {
+    issues.push({
+      kind: 'invalid-name',
+      file: m.file,
+      files: [m.file],
+      message: `${m.name} has no <version>_ prefix, so the Supabase CLI skips it`,
+    });
+  }
+
+  const valid = migrations.filter(m => m.parsed);
+  const byVersion = new Map();
+  for (const m of valid) {
+    const key = BigInt(m.parsed.version).toString();
+    byVersion.set(key, [...(byVersion.get(key) || []), m]);
+  }
+  for (const group of [...byVersion.values()].filter(g => g.length > 1)) {
+    issues.push({
+      kind: 'duplicate-version',
+      file: group[1].file,
+      files: group.map(m => m.file),
+      message: `${group.map(m => m.name).join(', ')} share version ${group[0].parsed.version} — Supabase records each version once`,
+    });
+  }
+
+  // listMigrations() returns apply (name) order
+  for (let i = 1; i < valid.length; i++) {
+    const [prev, next] = [valid[i - 1], valid[i]];
+    if (compareKeys(orderKey(next.parsed), orderKey(prev.parsed)) < 0) {
+      issues.push({
+        kind: 'out-of-order',
+        file: next.file,
+        files: [prev.file, next.file],
+        message: `${next.name} is applied after ${prev.name} (files apply in name order) but has the earlier version`,
+      });
+    }
+  }
+
+  const schemes = {};
+  for (const m of valid) {
+    const scheme = schemeOf(m.parsed);
+    (schemes[scheme] = schemes[scheme] || []).push(m.file);
+  }
+  const schemeNames = Object.keys(schemes);
+  if (schemeNames.length > 1) {
+    const [main, ...others] = schemeNames.sort((a, b) => schemes[b].length - schemes[a].length);
+    const strays = others.flatMap(s => schemes[s]);
+    issues.push({
+      kind: 'mixed-naming',
+      file: strays[0],
+      files: strays,
+      message: `mixed naming: ${schemeNames.map(s => `${schemes[s].length} × ${schemeLabel(s)}`).join(', ')} — ${strays.map(f => f.split('/').pop()).join(', ')} ${strays.length === 1 ? 'does' : 'do'} not follow ${schemeLabel(main)}`,
+    });
+  }
+
+  // Replay in apply order: uses of a table that a later statement creates
+  const firstCreated = new Map(); // table key → statement index
+  statements.forEach((stmt, index) => tablesCreated(stmt).forEach(key => {
+    if (!firstCreated.has(key)) firstCreated.set(key, index);
+  }));
+  const reported = new Set();
+  statements.forEach((stmt, index) => {
+    for (const table of tablesUsed(stmt)) {
+      const createdAt = firstCreated.get(table.key);
+      const seen = `${stmt.file} ${table.key}`;
+      if (createdAt === undefined || createdAt < index || reported.has(seen)) continue;
+      reported.add(seen);
+      const creator = statements[createdAt];
+      const sameFile = creator.file === stmt.file;
+      issues.push({
+        kind: 'used-before-create',
+        file: stmt.file,
+        line: stmt.line,
+        files: sameFile ? [stmt.file] : [stmt.file, creator.file],
+        message: `${describeUse(stmt)} ${table.key} before ${sameFile ? `line ${creator.line}` : `${creator.file}:${creator.line}`} creates it${sameFile ? ' — move the CREATE TABLE up' : ''}`,
+      });
+    }
+  });
+
+  const renames = [];
+  if (issues.length > 0) {
+    const ordered = planOrder(migrations, statements);
+    const width = Math.max(SEQUENCE_WIDTH, String(ordered.length).length);
+    ordered.forEach((m, i) => {
+      const label = m.parsed ? m.parsed.label : m.name.replace(/\.sql$/, '').replace(/^[^A-Za-z0-9]+/, '');
+      const to = `${MIGRATIONS_DIR}/${String(i + 1).padStart(width, '0')}_${label}.sql`;
+      if (to !== m.file) renames.push({ from: m.file, to });
+    });
+  }
+
+  return {
+    migrations: migrations.length,
+    schemes,
+    issues: issues.map(issue => ({ ...issue, renames: renames.filter(r => issue.files.includes(r.from)) })),
+    renames,
+    passed: issues.length === 0,
+  };
+}
+
+/**
+ * File name for a new migration that keeps the workspace's naming: the next 5-digit
+ * sequence number, or a timestamp when the migrations already use timestamps
+ */
+function nextMigrationFile(workspaceRoot, label, now = new Date()) {
+  const parsed = listMigrations(workspaceRoot).map(m => parseMigrationName(m.name)).filter(Boolean);
+  const sequences = parsed.filter(p => p.scheme === 'sequence');
+  if (parsed.length > 0 && sequences.length === 0) {
+    const stamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return `${MIGRATIONS_DIR}/${stamp}_${label}.sql`;
+  }
+  const next = sequences.reduce((max, p) => Math.max(max, Number(p.version)), 0) + 1;
+  const width = Math.max(SEQUENCE_WIDTH, ...sequences.map(p => p.version.length));
+  return `${MIGRATIONS_DIR}/${String(next).padStart(width, '0')}_${label}.sql`;
+}
+
+/**
+ * "file:line message" (or "file message") for an issue
+ */
+function formatIssue(issue) {
+  return `${[issue.file, issue.line].filter(Boolean).join(':')} ${issue.message}`;
+}
+
+// CLI
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args[0] === '--next') {
+    if (!args[1] || !/^\w+$/.test(args[1])) {
+      console.error('Usage: node migration-order.js --next <name>   (letters, digits and _ only)');
+      process.exit(1);
+    }
+    console.log(nextMigrationFile(process.cwd(), args[1]));
+    process.exit(0);
+  }
+
+  console.log('');
+  console.log('═'.repeat(50));
+  console.log('🔢 MIGRATION ORDER');
+  console.log('═'.repeat(50));
+  console.log('');
+
+  const report = auditMigrationOrder();
+  if (report.migrations === 0) {
+    console.log(`ℹ️  No migrations in ${MIGRATIONS_DIR}`);
+    process.exit(0);
+  }
+
+  console.log(`Migrations: ${report.migrations}`);
+  console.log('');
+  if (report.passed) {
+    console.log('✅ Migration names are unique, consistent and in order');
+    process.exit(0);
+  }
+
+  console.log(`❌ ${report.issues.length} issue(s):`);
+  for (const issue of report.issues) {
+    console.log(`   - ${formatIssue(issue)}`);
+    issue.renames.forEach(r => console.log(`       → rename ${r.from.split('/').pop()} to ${r.to.split('/').pop()}`));
+  }
+
+  if (report.renames.length > 0) {
+    console.log('\n💡 Suggested renumbering (apply all renames together):');
+    report.renames.forEach(r => console.log(`   ${r.from} → ${r.to}`));
+    console.log('\n   Already pushed to a linked project? Renaming changes the recorded versions;');
+    console.log('   reconcile them with `supabase migration repair` afterwards.');
+  }
+  process.exit(1);
+}
+
+module.exports = {
+  SEQUENCE_WIDTH,
+  parseMigrationName,
+  auditMigrationOrder,
+  nextMigrationFile,
+  formatIssue,
+};
@@ -0,0 +1,189 @@
+/**
+ * Migration SQL
+ *
+ * Lightweight scanner for the SQL in supabase/migrations: splits files into statements
+ * (respecting comments, quoted strings and $$-bodies) and recognizes the statements the
+ * migration audits care about. It does not parse SQL — anything else is kind "other".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = 'supabase/migrations';
+const DEFAULT_SCHEMA = 'public';
+
+// A possibly quoted identifier, optionally schema-qualified
+const IDENT = '(?:"(?:[^"]|"")+"|[A-Za-z_][\\w$]*)';
+const QNAME = `${IDENT}(?:\\s*\\.\\s*${IDENT})?`;
+
+/**
+ * Migration files in apply order (Supabase sorts by file name): [{ file, name, sql }]
+ */
+function listMigrations(workspaceRoot) {
+  const dir = path.join(workspaceRoot, MIGRATIONS_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.sql'))
+    .sort()
+    .map(name => ({ file: `${MIGRATIONS_DIR}/${name}`, name, sql: fs.readFileSync(path.join(dir, name), 'utf-8') }));
+}
+
+/**
+ * Split SQL into statements with comments removed: [{ text, line }] (line of the statement's first token)
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let line = 1;
+  let startLine = null;
+  let i = 0;
+
+  const finish = () => {
+    const text = current.trim();
+    if (text) statements.push({ text, line: startLine });
+    current = '';
+    startLine = null;
+  };
+  const take = (text) => {
+    if (startLine === null && text.trim()) startLine = line;
+    current += text;
+    line += (text.match(/\n/g) || []).length;
+  };
+
+  while (i < sql.length) {
+    const rest = sql.slice(i);
+    let match;
+    if (rest.startsWith('--')) {
+      const end = rest.indexOf('\n');
+      i += end === -1 ? rest.length : end; // keep the newline for line counting
+    } else if (rest.startsWith('/*')) {
+      const end = rest.indexOf('*/', 2);
+      const comment = end === -1 ? rest : rest.slice(0, end + 2);
+      line += (comment.match(/\n/g) || []).length;
+      current += ' ';
+      i += comment.length;
+    } else if (rest[0] === "'" || rest[0] === '"') {
+      const quote = rest[0];
+      let end = 1;
+      while (end < rest.length && !(rest[end] === quote && rest[end + 1] !== quote)) {
+        end += rest[end] === quote ? 2 : 1; // doubled quote is an escaped quote
+      }
+      take(rest.slice(0, end + 1));
+      i += end + 1;
+    } else if ((match = rest.match(/^\$([A-Za-z_]\w*)?\$/))) {
+      const end = rest.indexOf(match[0], match[0].length);
+      const body = end === -1 ? rest : rest.slice(0, end + match[0].length);
+      take(body);
+      i += body.length;
+    } else if (rest[0] === ';') {
+      finish();
+      i++;
+    } else {
+      take(rest[0]);
+      i++;
+    }
+  }
+  finish();
+  return statements;
+}
+
+function unquote(identifier) {
+  return identifier.startsWith('"') ? identifier.slice(1, -1).replace(/""/g, '"') : identifier.toLowerCase();
+}
+
+/**
+ * A table as it is written in SQL: public.users, public."Projects"
+ */
+function sqlName(table) {
+  const quote = part => (/^[a-z_][a-z0-9_$]*$/.test(part) ? part : `"${part.replace(/"/g, '""')}"`);
+  return `${quote(table.schema)}.${quote(table.name)}`;
+}
+
+/**
+ * "public.users" / "Users" / "\"app\".\"Users\"" → { schema, name, key }
+ */
+function tableName(qualified) {
+  const parts = qualified.match(new RegExp(IDENT, 'g')).map(unquote);
+  const [schema, name] = parts.length === 2 ? parts : [DEFAULT_SCHEMA, parts[0]];
+  return { schema, name, key: `${schema}.${name}` };
+}
+
+// Tables named by REFERENCES clauses (foreign keys)
+function foreignKeys(sql) {
+  return [...sql.matchAll(new RegExp(`\\bREFERENCES (${QNAME})`, 'gi'))].map(r => tableName(r[1]));
+}
+
+/**
+ * Recognize a statement. Returns { kind, ... }:
+ *   create-table   { table, temporary, references }   references: tables its foreign keys point at
+ *   drop-table     { tables }
+ *   alter-table    { table, action: enable-rls | disable-rls | rename | other, newName?, references }
+ *   create-policy  { name, table, references }   references: tables its USING / WITH CHECK read
+ *   drop-policy    { name, table }
+ *   create-index   { name, table }
+ *   create-trigger { name, table }
+ *   other          {}
+ */
+function parseStatement(text) {
+  const sql = text.replace(/\s+/g, ' ');
+  let m;
+
+  if ((m = sql.match(new RegExp(`^CREATE (?:OR REPLACE )?(?:(?:GLOBAL|LOCAL) )?((?:TEMP|TEMPORARY|UNLOGGED) )?TABLE (?:IF NOT EXISTS )?(${QNAME})`, 'i')))) {
+    const table = tableName(m[2]);
+    return {
+      kind: 'create-table',
+      table,
+      temporary: /^TEMP/i.test(m[1] || ''),
+      references: foreignKeys(sql).filter(t => t.key !== table.key),
+    };
+  }
+  if ((m = sql.match(new RegExp(`^DROP TABLE (?:IF EXISTS )?(${QNAME}(?: ?, ?${QNAME})*)`, 'i')))) {
+    return { kind: 'drop-table', tables: m[1].split(/\s*,\s*/).map(tableName) };
+  }
+  if ((m = sql.match(new RegExp(`^ALTER TABLE (?:IF EXISTS )?(?:ONLY )?(${QNAME}) (.*)$`, 'i')))) {
+    const table = tableName(m[1]);
+    const rest = m[2];
+    const references = foreignKeys(rest).filter(t => t.key !== table.key);
+    if (/^(?:ENABLE|FORCE) ROW LEVEL SECURITY/i.test(rest)) return { kind: 'alter-table', table, action: 'enable-rls', references };
+    if (/^(?:DISABLE|NO FORCE) ROW LEVEL SECURITY/i.test(rest)) {
+      return { kind: 'alter-table', table, action: /^DISABLE/i.test(rest) ? 'disable-rls' : 'other', references };
+    }
+    const rename = rest.match(new RegExp(`^RENAME TO (${IDENT})`, 'i'));
+    if (rename) return { kind: 'alter-table', table, action: 'rename', newName: unquote(rename[1]), references };
+    return { kind: 'alter-table', table, action: 'other', references };
+  }
+  if ((m = sql.match(new RegExp(`^CREATE POLICY (${IDENT}) ON (${QNAME})(.*)$`, 'i')))) {
+    const references = [...m[3].matchAll(new RegExp(`\\b(?:FROM|JOIN) (${QNAME})`, 'gi'))].map(r => tableName(r[1]));
+    return { kind: 'create-policy', name: unquote(m[1]), table: tableName(m[2]), references };
+  }
+  if ((m = sql.match(new RegExp(`^DROP POLICY (?:IF EXISTS )?(${IDENT}) ON (${QNAME})`, 'i')))) {
+    return { kind: 'drop-policy', name: unquote(m[1]), table: tableName(m[2]) };
+  }
+  if ((m = sql.match(new RegExp(`^CREATE (?:UNIQUE )?INDEX (?:CONCURRENTLY )?(?:(?:IF NOT EXISTS )?(${IDENT}) )?ON (?:ONLY )?(${QNAME})`, 'i')))) {
+    return { kind: 'create-index', name: m[1] ? unquote(m[1]) : null, table: tableName(m[2]) };
+  }
+  if ((m = sql.match(new RegExp(`^CREATE (?:OR REPLACE )?(?:CONSTRAINT )?TRIGGER (${IDENT}) .*? ON (${QNAME})`, 'i')))) {
+    return { kind: 'create-trigger', name: unquote(m[1]), table: tableName(m[2]) };
+  }
+  return { kind: 'other' };
+}
+
+/**
+ * Every recognized statement of every migration, in apply order:
+ * [{ file, line, text, kind, ... }]
+ */
+function scanMigrations(workspaceRoot) {
+  return listMigrations(workspaceRoot).flatMap(({ file, sql }) =>
+    splitStatements(sql).map(({ text, line }) => ({ file, line, text, ...parseStatement(text) })));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  DEFAULT_SCHEMA,
+  listMigrations,
+  splitStatements,
+  parseStatement,
+  tableName,
+  sqlName,
+  scanMigrations,
+};
@@ -0,0 +1,128 @@
+/**
+ * Phase Document Parser
+ *
+ * Reads a phase markdown document (e.g. 05-AUTH.md) and extracts its artifacts:
+ *   - "### N. <path>" headings followed by a fenced code block → files to create
+ *   - "### N. Update <path>" headings and "UPDATE `<path>`" bullets → manual update steps
+ */
+
+const fs = require('fs');
+const { getPhaseDocPath } = require('./phase-registry');
+
+const ARTIFACT_HEADING = /^###\s+(\d+)\.\s+(.+?)\s*$/;
+const FENCE = /^(`{3,})(.*)$/;
+const UPDATE_BULLET = /^\s*-\s+UPDATE\s+`([^`]+)`\s*(?:—|-)?\s*(.*)$/;
+const PATH_TOKEN = /`?((?:\.?[\w@[\]-]+\/)*\.?[\w@[\]-]+(?:\.[\w-]+)+)`?/;
+
+/**
+ * Turn a heading like "README.md (Root)" or "Root package.json" into a path,
+ * or null if it is not a path
+ */
+function headingToPath(heading) {
+  const candidate = heading
+    .replace(/\s*\(.*\)\s*$/, '')
+    .replace(/^Root\s+/, '')
+    .replace(/`/g, '')
+    .trim();
+  if (/\s/.test(candidate)) return null;
+  if (!/[./]/.test(candidate)) return null;
+  return candidate;
+}
+
+/**
+ * Find the fenced block starting at or after `start`, stopping at the next artifact heading.
+ * Blocks tagged markdown/md may contain fences of their own, so they close at the last
+ * bare fence before the next heading or "---" separator.
+ */
+function readFencedBlock(lines, start) {
+  let i = start;
+  while (i < lines.length && !FENCE.test(lines[i])) {
+    if (ARTIFACT_HEADING.test(lines[i]) || /^---\s*$/.test(lines[i])) return null;
+    i++;
+  }
+  if (i >= lines.length) return null;
+
+  const [, ticks, info] = lines[i].match(FENCE);
+  const language = info.trim();
+  const open = i;
+
+  if (language === 'markdown' || language === 'md') {
+    let end = open + 1;
+    while (end < lines.length && !ARTIFACT_HEADING.test(lines[end]) && !/^---\s*$/.test(lines[end])) end++;
+    let close = end - 1;
+    while (close > open && lines[close].trim() !== ticks) close--;
+    if (close === open) return null;
+    return { language, content: lines.slice(open + 1, close), openLine: open, closeLine: close };
+  }
+
+  let close = open + 1;
+  while (close < lines.length && lines[close].trim() !== ticks) close++;
+  if (close >= lines.length) return null;
+  return { language, content: lines.slice(open + 1, close), openLine: open, closeLine: close };
+}
+
+/**
+ * Parse a phase document.
+ * Returns { artifacts: [{ index, path, language, content, line }], updates: [{ target, description, line }] }.
+ * `line` is 1-based and points at the heading (or bullet) in the document.
+ */
+function parsePhaseDocument(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const artifacts = [];
+  const updates = [];
+  const seenUpdates = new Set();
+
+  const addUpdate = (target, description, line) => {
+    if (seenUpdates.has(target)) return;
+    seenUpdates.add(target);
+    updates.push({ target, description, line });
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const bullet = lines[i].match(UPDATE_BULLET);
+    if (bullet) {
+      addUpdate(bullet[1], bullet[2].trim(), i + 1);
+      continue;
+    }
+
+    const heading = lines[i].match(ARTIFACT_HEADING);
+    if (!heading) continue;
+
+    const [, index, text] = heading;
+    const filePath = headingToPath(text);
+
+    if (filePath) {
+      const block = readFencedBlock(lines, i + 1);
+      if (!block) continue;
+      artifacts.push({
+        index: parseInt(index, 10),
+        path: filePath,
+        language: block.language,
+        content: block.content.join('\n') + (block.content.length > 0 ? '\n' : ''),
+        line: i + 1,
+      });
+      i = block.closeLine;
+    } else {
+      // "Update packages/backend/src/main.py", "Add database scripts to root package.json"
+      const target = text.match(PATH_TOKEN);
+      addUpdate(target ? target[1] : text, text, i + 1);
+    }
+  }
+
+  return { artifacts, updates };
+}
+
+/**
+ * Parse the document for a registered phase. Returns null if the document is missing.
+ */
+function loadPhaseDocument(phaseNum) {
+  const docPath = getPhaseDocPath(phaseNum);
+  if (!docPath || !fs.existsSync(docPath)) return null;
+  return { docPath, ...parsePhaseDocument(fs.readFileSync(docPath, 'utf-8')) };
+}
+
+module.exports = {
+  parsePhaseDocument,
+  loadPhaseDocument,
+  headingToPath,
+};
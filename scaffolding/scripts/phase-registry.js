@@ -0,0 +1,648 @@
+/**
+ * Phase Registry
+ *
+ * Single source of truth for the scaffolding phases.
+ * State, verification, repair, resume and progress math all read from here,
+ * so adding a phase means adding one entry below (plus its NN-NAME.md document).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the phase documents (this script lives in scaffolding/scripts)
+const SCAFFOLDING_DIR = path.resolve(__dirname, '..');
+
+// Config conditions. Each takes the scaffold config and returns a reason string
+// (e.g. "features.workers=false") when the feature is switched off, else null.
+
+function configValue(config, key) {
+  return key.split('.').reduce((obj, k) => (obj == null ? undefined : obj[k]), config);
+}
+
+function offWhen(key, predicate) {
+  return (config) => {
+    const value = configValue(config, key);
+    return value !== undefined && predicate(value) ? `${key}=${value}` : null;
+  };
+}
+
+function anyOf(...conditions) {
+  return (config) => conditions.map(c => c(config)).find(Boolean) || null;
+}
+
+function allOf(...conditions) {
+  return (config) => {
+    const reasons = conditions.map(c => c(config));
+    return reasons.every(Boolean) ? reasons.join(', ') : null;
+  };
+}
+
+const workersOff = offWhen('features.workers', v => v === false);
+const fileUploadOff = offWhen('features.fileUpload', v => v === false);
+const paymentsOff = anyOf(
+  offWhen('payments.enabled', v => v === false),
+  offWhen('payments.provider', v => v === 'none'),
+);
+const stripeOff = anyOf(paymentsOff, offWhen('payments.provider', v => v !== 'stripe'));
+const emailOff = anyOf(
+  offWhen('email.enabled', v => v === false),
+  offWhen('email.provider', v => v === 'none'),
+);
+const containerizeOff = offWhen('deployment.containerize', v => v === false);
+
+// Content assertions (evaluated by content-assertions.js). Every expected file must also
+// be non-empty, so only list what proves the file is the real thing.
+
+const pyClass = (file, name) => ({ file, kind: 'python-class', name });
+const pyFunction = (file, name) => ({ file, kind: 'python-function', name });
+const tsExport = (file, name) => ({ file, kind: 'ts-export', name });
+const contains = (file, text) => ({ file, kind: 'contains', text });
+const jsonKey = (file, key) => ({ file, kind: 'json-key', key });
+
+// Phase entries. `files` may hold { path, omitWhen } for files the config can rule out;
+// `skipWhen` skips the whole phase; `assertions` check file contents; `audits` name the
+// whole-workspace audits verify-phase.js runs once the phase's files exist.
+const PHASES = [
+  {
+    num: 1,
+    name: 'WORKSPACE',
+    title: 'Workspace Setup',
+    files: [
+      'package.json',
+      'pnpm-workspace.yaml',
+      'turbo.json',
+      'tsconfig.base.json',
+      '.gitignore',
+      '.env.example',
+      'apps/web/package.json',
+      'apps/web/tsconfig.json',
+      'apps/web/next.config.ts',
+      'apps/web/tailwind.config.js',
+      'apps/web/app/layout.tsx',
+      'apps/web/app/page.tsx',
+      'apps/web/app/globals.css',
+      'packages/types/package.json',
+      'packages/types/tsconfig.json',
+      'packages/types/src/index.ts',
+      'packages/types/src/common.ts',
+      'packages/backend/pyproject.toml',
+      'packages/backend/src/__init__.py',
+      'packages/backend/src/main.py',
+      'packages/backend/Dockerfile',
+      'supabase/config.toml',
+      'README.md',
+    ],
+    commands: [
+      { cmd: 'node -e "require(\'./package.json\')"', name: 'package.json valid JSON' },
+    ],
+    assertions: [
+      jsonKey('package.json', 'scripts'),
+      jsonKey('packages/types/package.json', 'exports'),
+      contains('pnpm-workspace.yaml', 'packages:'),
+      tsExport('packages/types/src/index.ts', '*'),
+      contains('packages/backend/src/main.py', 'FastAPI('),
+      tsExport('apps/web/app/layout.tsx', 'default'),
+    ],
+    artifacts: ['apps/web/', 'packages/backend/', 'packages/types/', 'turbo.json', 'pnpm-workspace.yaml'],
+    directories: ['apps/web', 'packages/backend', 'packages/types'],
+  },
+  {
+    num: 2,
+    name: 'ENVIRONMENT',
+    title: 'Environment Configuration',
+    files: [
+      'apps/web/lib/env.ts',
+      'packages/backend/src/config.py',
+    ],
+    commands: [
+      { cmd: 'node -e "require(\'zod\')"', name: 'zod installed', cwd: 'apps/web' },
+    ],
+    assertions: [
+      tsExport('apps/web/lib/env.ts', 'env'),
+      pyClass('packages/backend/src/config.py', 'Settings'),
+      pyFunction('packages/backend/src/config.py', 'get_settings'),
+    ],
+    artifacts: ['apps/web/lib/env.ts', 'packages/backend/src/config.py'],
+    directories: ['apps/web/lib', 'packages/backend/src'],
+  },
+  {
+    num: 3,
+    name: 'TYPES',
+    title: 'Shared Types & Exceptions',
+    files: [
+      'packages/types/src/errors.ts',
+      'packages/types/src/auth.ts',
+      'packages/types/src/jobs.ts',
+      'packages/types/src/api.ts',
+      'packages/backend/src/exceptions.py',
+      'packages/backend/src/exception_handlers.py',
+    ],
+    commands: [],
+    assertions: [
+      tsExport('packages/types/src/errors.ts', 'ErrorCode'),
+      tsExport('packages/types/src/errors.ts', 'ErrorStatusMap'),
+      pyClass('packages/backend/src/exceptions.py', 'ErrorCode'),
+      pyClass('packages/backend/src/exceptions.py', 'AppError'),
+      pyFunction('packages/backend/src/exception_handlers.py', 'register_exception_handlers'),
+    ],
+    audits: ['error-codes'],
+    artifacts: ['packages/types/src/', 'packages/backend/src/exceptions.py'],
+    directories: ['packages/types/src', 'packages/backend/src'],
+  },
+  {
+    num: 4,
+    name: 'DATABASE',
+    title: 'Database Foundation',
+    files: [
+      'supabase/migrations/00001_initial_schema.sql',
+      'supabase/migrations/00002_rls_policies.sql',
+      'supabase/seed.sql',
+      'apps/web/lib/supabase/client.ts',
+      'apps/web/lib/supabase/server.ts',
+      'apps/web/lib/supabase/admin.ts',
+      'apps/web/lib/supabase/middleware.ts',
+      'apps/web/middleware.ts',
+      'packages/backend/src/database.py',
+    ],
+    commands: [],
+    assertions: [
+      contains('supabase/migrations/00001_initial_schema.sql', 'CREATE TABLE'),
+      contains('supabase/migrations/00002_rls_policies.sql', 'ENABLE ROW LEVEL SECURITY'),
+      contains('supabase/migrations/00002_rls_policies.sql', 'CREATE POLICY'),
+      tsExport('apps/web/lib/supabase/client.ts', 'createClient'),
+      tsExport('apps/web/lib/supabase/server.ts', 'createClient'),
+      tsExport('apps/web/lib/supabase/admin.ts', 'createAdminClient'),
+      tsExport('apps/web/middleware.ts', 'middleware'),
+      pyClass('packages/backend/src/database.py', 'DatabaseService'),
+    ],
+    audits: ['rls', 'migrations'],
+    artifacts: ['supabase/migrations/', 'apps/web/lib/supabase/'],
+    directories: ['supabase/migrations', 'apps/web/lib/supabase'],
+  },
+  {
+    num: 5,
+    name: 'AUTH',
+    title: 'Authentication Infrastructure',
+    files: [
+      'apps/web/lib/auth/context.tsx',
+      'apps/web/lib/auth/hooks.ts',
+      'apps/web/lib/auth/server.ts',
+      'apps/web/app/api/auth/callback/route.ts',
+      'packages/backend/src/auth/__init__.py',
+      'packages/backend/src/auth/jwt.py',
+      'packages/backend/src/auth/dependencies.py',
+      'packages/backend/src/auth/middleware.py',
+      'packages/backend/src/auth/entitlements.py',
+    ],
+    commands: [],
+    assertions: [
+      tsExport('apps/web/lib/auth/context.tsx', 'AuthProvider'),
+      tsExport('apps/web/lib/auth/server.ts', 'requireAuth'),
+      tsExport('apps/web/app/api/auth/callback/route.ts', 'GET'),
+      pyFunction('packages/backend/src/auth/jwt.py', 'verify_token'),
+      pyFunction('packages/backend/src/auth/dependencies.py', 'get_current_user'),
+      pyClass('packages/backend/src/auth/middleware.py', 'AuthMiddleware'),
+    ],
+    artifacts: ['apps/web/lib/auth/', 'packages/backend/src/auth/'],
+    directories: ['apps/web/lib/auth', 'packages/backend/src/auth'],
+  },
+  {
+    num: 6,
+    name: 'RESILIENCE',
+    title: 'Resilience Patterns',
+    files: [
+      'packages/backend/src/resilience/__init__.py',
+      'packages/backend/src/resilience/circuit_breaker.py',
+      'packages/backend/src/resilience/retry.py',
+      'packages/backend/src/resilience/distributed_lock.py',
+      'packages/backend/src/resilience/shutdown.py',
+      'apps/web/lib/resilience/retry.ts',
+    ],
+    commands: [],
+    assertions: [
+      pyClass('packages/backend/src/resilience/circuit_breaker.py', 'CircuitBreaker'),
+      pyFunction('packages/backend/src/resilience/retry.py', 'retry_with_backoff'),
+      pyClass('packages/backend/src/resilience/distributed_lock.py', 'DistributedLock'),
+      pyClass('packages/backend/src/resilience/shutdown.py', 'GracefulShutdown'),
+      tsExport('apps/web/lib/resilience/retry.ts', 'retryWithBackoff'),
+    ],
+    artifacts: ['packages/backend/src/resilience/', 'apps/web/lib/resilience/'],
+    directories: ['packages/backend/src/resilience', 'apps/web/lib/resilience'],
+  },
+  {
+    num: 7,
+    name: 'WORKERS',
+    title: 'Job Processing System',
+    skipWhen: workersOff,
+    files: [
+      'packages/backend/src/jobs/__init__.py',
+      'packages/backend/src/jobs/models.py',
+      'packages/backend/src/jobs/service.py',
+      'packages/backend/src/jobs/queue.py',
+      'packages/backend/src/jobs/worker.py',
+      'apps/web/lib/jobs/client.ts',
+    ],
+    commands: [],
+    assertions: [
+      pyClass('packages/backend/src/jobs/models.py', 'Job'),
+      pyClass('packages/backend/src/jobs/service.py', 'JobService'),
+      pyClass('packages/backend/src/jobs/queue.py', 'JobQueue'),
+      pyClass('packages/backend/src/jobs/worker.py', 'JobWorker'),
+      tsExport('apps/web/lib/jobs/client.ts', 'JobClient'),
+    ],
+    artifacts: ['packages/backend/src/jobs/'],
+    directories: ['packages/backend/src/jobs', 'apps/web/lib/jobs'],
+  },
+  {
+    num: 8,
+    name: 'API',
+    title: 'API Foundation',
+    files: [
+      'packages/backend/src/api/__init__.py',
+      'packages/backend/src/api/router.py',
+      'packages/backend/src/api/routes/__init__.py',
+      'packages/backend/src/api/routes/health.py',
+      'packages/backend/src/api/routes/jobs.py',
+      'packages/backend/src/api/routes/users.py',
+      'packages/backend/src/api/middleware.py',
+      'packages/backend/src/api/responses.py',
+      'apps/web/app/api/jobs/route.ts',
+      'apps/web/app/api/jobs/[jobId]/route.ts',
+      'apps/web/app/api/health/route.ts',
+    ],
+    commands: [],
+    assertions: [
+      contains('packages/backend/src/api/router.py', 'APIRouter('),
+      pyFunction('packages/backend/src/api/routes/health.py', 'health_check'),
+      pyFunction('packages/backend/src/api/routes/jobs.py', 'create_job'),
+      pyClass('packages/backend/src/api/middleware.py', 'RateLimitMiddleware'),
+      pyFunction('packages/backend/src/api/responses.py', 'success_response'),
+      tsExport('apps/web/app/api/jobs/route.ts', 'POST'),
+      tsExport('apps/web/app/api/jobs/[jobId]/route.ts', 'GET'),
+      tsExport('apps/web/app/api/health/route.ts', 'GET'),
+    ],
+    artifacts: ['packages/backend/src/api/', 'apps/web/app/api/jobs/'],
+    directories: ['packages/backend/src/api', 'packages/backend/src/api/routes'],
+  },
+  {
+    num: 9,
+    name: 'OBSERVABILITY',
+    title: 'Observability',
+    files: [
+      'packages/backend/src/observability/__init__.py',
+      'packages/backend/src/observability/logging.py',
+      'packages/backend/src/observability/middleware.py',
+      'packages/backend/src/observability/metrics.py',
+      'packages/backend/src/observability/health.py',
+      'apps/web/lib/observability/logger.ts',
+    ],
+    commands: [],
+    assertions: [
+      pyFunction('packages/backend/src/observability/logging.py', 'setup_logging'),
+      pyClass('packages/backend/src/observability/middleware.py', 'RequestLoggingMiddleware'),
+      pyClass('packages/backend/src/observability/metrics.py', 'MetricsCollector'),
+      pyClass('packages/backend/src/observability/health.py', 'HealthChecker'),
+      tsExport('apps/web/lib/observability/logger.ts', 'logger'),
+    ],
+    artifacts: ['packages/backend/src/observability/', 'apps/web/lib/observability/'],
+    directories: ['packages/backend/src/observability', 'apps/web/lib/observability'],
+  },
+  {
+    num: 10,
+    name: 'INTEGRATIONS',
+    title: 'Third-Party Integrations',
+    skipWhen: allOf(stripeOff, emailOff),
+    files: [
+      'packages/backend/src/integrations/__init__.py',
+      { path: 'packages/backend/src/integrations/stripe_service.py', omitWhen: stripeOff },
+      { path: 'packages/backend/src/integrations/email_service.py', omitWhen: emailOff },
+      'packages/backend/src/integrations/webhook_handler.py',
+      { path: 'apps/web/app/api/webhooks/stripe/route.ts', omitWhen: stripeOff },
+    ],
+    commands: [],
+    assertions: [
+      pyClass('packages/backend/src/integrations/stripe_service.py', 'StripeService'),
+      pyClass('packages/backend/src/integrations/email_service.py', 'EmailService'),
+      pyClass('packages/backend/src/integrations/webhook_handler.py', 'WebhookHandler'),
+      tsExport('apps/web/app/api/webhooks/stripe/route.ts', 'POST'),
+    ],
+    artifacts: ['packages/backend/src/integrations/', 'apps/web/app/api/webhooks/'],
+    directories: ['packages/backend/src/integrations', 'apps/web/app/api/webhooks'],
+  },
+  {
+    num: 11,
+    name: 'FRONTEND',
+    title: 'Frontend Foundation',
+    files: [
+      'apps/web/lib/design-tokens/tokens.ts',
+      'apps/web/lib/design-tokens/index.ts',
+      'apps/web/components/ui/button.tsx',
+      'apps/web/components/ui/input.tsx',
+      'apps/web/components/ui/card.tsx',
+      'apps/web/components/ui/index.ts',
+      'apps/web/lib/utils.ts',
+      'apps/web/components/providers/index.tsx',
+      'apps/web/lib/api/client.ts',
+      'apps/web/public/manifest.json',
+    ],
+    commands: [
+      { cmd: 'node -e "require(\'clsx\')"', name: 'clsx installed', cwd: 'apps/web' },
+      { cmd: 'node -e "require(\'tailwind-merge\')"', name: 'tailwind-merge installed', cwd: 'apps/web' },
+    ],
+    assertions: [
+      tsExport('apps/web/components/ui/button.tsx', 'Button'),
+      tsExport('apps/web/components/ui/input.tsx', 'Input'),
+      tsExport('apps/web/components/ui/card.tsx', 'Card'),
+      tsExport('apps/web/lib/utils.ts', 'cn'),
+      tsExport('apps/web/components/providers/index.tsx', 'Providers'),
+      tsExport('apps/web/lib/api/client.ts', 'ApiClient'),
+      jsonKey('apps/web/public/manifest.json', 'name'),
+    ],
+    artifacts: ['apps/web/components/ui/', 'apps/web/lib/design-tokens/'],
+    directories: ['apps/web/components/ui', 'apps/web/lib/design-tokens'],
+  },
+  {
+    num: 12,
+    name: 'SECURITY',
+    title: 'Security Hardening',
+    files: [
+      'apps/web/lib/security/csp.ts',
+      'apps/web/lib/security/headers.ts',
+      'apps/web/lib/security/index.ts',
+      'packages/backend/src/security/__init__.py',
+      'packages/backend/src/security/audit.py',
+      'packages/backend/src/security/sanitize.py',
+      'packages/backend/src/security/cors.py',
+      'packages/backend/src/security/middleware.py',
+    ],
+    commands: [],
+    assertions: [
+      tsExport('apps/web/lib/security/csp.ts', 'buildCSP'),
+      tsExport('apps/web/lib/security/headers.ts', 'getSecurityHeaders'),
+      pyClass('packages/backend/src/security/audit.py', 'AuditLogger'),
+      pyFunction('packages/backend/src/security/sanitize.py', 'sanitize_input'),
+      pyFunction('packages/backend/src/security/cors.py', 'get_cors_config'),
+      pyClass('packages/backend/src/security/middleware.py', 'SecurityMiddleware'),
+    ],
+    artifacts: ['apps/web/lib/security/', 'packages/backend/src/security/'],
+    directories: ['apps/web/lib/security', 'packages/backend/src/security'],
+  },
+  {
+    num: 13,
+    name: 'FILE-STORAGE',
+    title: 'File Storage',
+    skipWhen: fileUploadOff,
+    files: [
+      'supabase/migrations/00003_storage_buckets.sql',
+      'packages/backend/src/storage/__init__.py',
+      'packages/backend/src/storage/service.py',
+      'packages/backend/src/storage/validation.py',
+      'apps/web/lib/storage/client.ts',
+      'apps/web/lib/storage/hooks.ts',
+      'apps/web/lib/storage/index.ts',
+      'apps/web/components/ui/file-upload.tsx',
+    ],
+    commands: [],
+    assertions: [
+      contains('supabase/migrations/00003_storage_buckets.sql', 'storage.buckets'),
+      contains('supabase/migrations/00003_storage_buckets.sql', 'CREATE POLICY'),
+      pyClass('packages/backend/src/storage/service.py', 'StorageService'),
+      pyFunction('packages/backend/src/storage/validation.py', 'validate_file'),
+      tsExport('apps/web/lib/storage/client.ts', 'StorageClient'),
+      tsExport('apps/web/lib/storage/hooks.ts', 'useUpload'),
+      tsExport('apps/web/components/ui/file-upload.tsx', 'FileUpload'),
+    ],
+    audits: ['migrations'],
+    artifacts: ['supabase/migrations/00003_storage_buckets.sql', 'packages/backend/src/storage/', 'apps/web/lib/storage/'],
+    directories: ['packages/backend/src/storage', 'apps/web/lib/storage'],
+  },
+  {
+    num: 14,
+    name: 'CACHING',
+    title: 'Caching',
+    files: [
+      'packages/backend/src/cache/__init__.py',
+      'packages/backend/src/cache/client.py',
+      'packages/backend/src/cache/service.py',
+      'packages/backend/src/cache/patterns.py',
+      'packages/backend/src/cache/session.py',
+      'apps/web/lib/cache/client.ts',
+      'apps/web/lib/cache/index.ts',
+    ],
+    commands: [],
+    assertions: [
+      pyClass('packages/backend/src/cache/client.py', 'RedisClient'),
+      pyClass('packages/backend/src/cache/service.py', 'CacheService'),
+      pyFunction('packages/backend/src/cache/patterns.py', 'cache_aside'),
+      pyClass('packages/backend/src/cache/session.py', 'SessionStore'),
+      tsExport('apps/web/lib/cache/client.ts', 'MemoryCache'),
+    ],
+    artifacts: ['packages/backend/src/cache/', 'apps/web/lib/cache/'],
+    directories: ['packages/backend/src/cache', 'apps/web/lib/cache'],
+  },
+  {
+    num: 15,
+    name: 'DEPLOYMENT',
+    title: 'Deployment',
+    files: [
+      { path: 'docker-compose.yml', omitWhen: containerizeOff },
+      { path: 'docker-compose.prod.yml', omitWhen: containerizeOff },
+      { path: 'apps/web/Dockerfile', omitWhen: containerizeOff },
+      { path: 'apps/web/Dockerfile.dev', omitWhen: containerizeOff },
+      { path: 'packages/backend/Dockerfile.prod', omitWhen: containerizeOff },
+      'packages/backend/src/health.py',
+      'scripts/deploy.sh',
+      'scripts/healthcheck.sh',
+      { path: '.dockerignore', omitWhen: containerizeOff },
+      { path: 'apps/web/.dockerignore', omitWhen: containerizeOff },
+      { path: 'packages/backend/.dockerignore', omitWhen: containerizeOff },
+    ],
+    commands: [],
+    assertions: [
+      contains('docker-compose.yml', 'services:'),
+      contains('docker-compose.prod.yml', 'services:'),
+      contains('apps/web/Dockerfile', 'FROM '),
+      contains('packages/backend/Dockerfile.prod', 'FROM '),
+      pyFunction('packages/backend/src/health.py', 'readiness'),
+      contains('scripts/deploy.sh', '#!'),
+      contains('scripts/healthcheck.sh', '#!'),
+    ],
+    artifacts: ['docker-compose.yml', 'apps/web/Dockerfile', 'packages/backend/Dockerfile.prod', 'scripts/'],
+    directories: ['scripts'],
+  },
+];
+
+const PHASE_NUMBERS = PHASES.map(p => p.num);
+const FIRST_PHASE = PHASE_NUMBERS[0];
+const LAST_PHASE = PHASE_NUMBERS[PHASE_NUMBERS.length - 1];
+
+/**
+ * Zero-padded phase id ("05") as used in file names and checkpoints
+ */
+function padPhase(phaseNum) {
+  return String(phaseNum).padStart(2, '0');
+}
+
+/**
+ * Look up a phase by number (accepts 5, "5" or "05")
+ */
+function getPhase(phaseNum) {
+  const num = parseInt(phaseNum, 10);
+  return PHASES.find(p => p.num === num) || null;
+}
+
+function isValidPhase(phaseNum) {
+  return getPhase(phaseNum) !== null;
+}
+
+/**
+ * Phase document file name, e.g. "05-AUTH.md"
+ */
+function getPhaseFile(phaseNum) {
+  const phase = getPhase(phaseNum);
+  return phase ? `${padPhase(phase.num)}-${phase.name}.md` : null;
+}
+
+/**
+ * Absolute path to the phase document
+ */
+function getPhaseDocPath(phaseNum) {
+  const file = getPhaseFile(phaseNum);
+  return file ? path.join(SCAFFOLDING_DIR, file) : null;
+}
+
+/**
+ * Reason the config switches a phase off entirely (e.g. "features.workers=false"), or null.
+ * A phase whose explicit prerequisite is switched off goes with it, with the reason recorded;
+ * "All previous phases" only needs earlier phases finished, so skips do not reach it.
+ */
+function getSkipReason(phaseNum, config) {
+  const phase = getPhase(phaseNum);
+  if (!phase || !config) return null;
+
+  const explicit = config.scaffoldOptions?.skipPhases || [];
+  if (explicit.includes(phase.num)) return `scaffoldOptions.skipPhases includes ${phase.num}`;
+
+  const own = phase.skipWhen ? phase.skipWhen(config) : null;
+  if (own || requiresAllPrevious(phase.num)) return own;
+
+  for (const prereq of getPrerequisites(phase.num)) {
+    const reason = getSkipReason(prereq, config);
+    if (reason) {
+      return `requires Phase ${padPhase(prereq)} (${getPhase(prereq).name}), skipped: ${reason}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Content assertions for the files a phase is expected to produce under this config
+ */
+function getContentAssertions(phaseNum, config = null) {
+  const phase = getPhase(phaseNum);
+  if (!phase) return [];
+  const expected = new Set(getExpectedFiles(phase.num, config).files);
+  return (phase.assertions || []).filter(a => expected.has(a.file));
+}
+
+/**
+ * Files a phase is expected to produce under this config.
+ * Returns { files: [paths], omitted: [{ path, reason }] }.
+ */
+function getExpectedFiles(phaseNum, config = null) {
+  const phase = getPhase(phaseNum);
+  const result = { files: [], omitted: [] };
+  if (!phase) return result;
+
+  for (const entry of phase.files) {
+    const file = typeof entry === 'string' ? { path: entry } : entry;
+    const reason = config && file.omitWhen ? file.omitWhen(config) : null;
+    if (reason) {
+      result.omitted.push({ path: file.path, reason });
+    } else {
+      result.files.push(file.path);
+    }
+  }
+  return result;
+}
+
+// Parsed "> **Prerequisites**:" headers, keyed by phase number
+const prerequisiteCache = new Map();
+
+/**
+ * Parse a phase document's prerequisites header.
+ * Understands "None", "All previous phases" and links like [05-AUTH](./05-AUTH.md).
+ * Returns { phases: [phaseNums], allPrevious: boolean }.
+ */
+function parsePrerequisites(markdown, phaseNum) {
+  const match = markdown.match(/^>\s*\*\*Prerequisites\*\*:\s*(.+)$/m);
+  if (!match) return { phases: [], allPrevious: false };
+
+  const header = match[1].trim();
+  if (/^none\b/i.test(header)) return { phases: [], allPrevious: false };
+  if (/^all previous phases/i.test(header)) {
+    return { phases: PHASE_NUMBERS.filter(n => n < phaseNum), allPrevious: true };
+  }
+
+  const nums = [...header.matchAll(/\[(\d{2})-[A-Z-]+\]/g)].map(m => parseInt(m[1], 10));
+  return {
+    phases: [...new Set(nums)].filter(n => n !== phaseNum && isValidPhase(n)),
+    allPrevious: false,
+  };
+}
+
+function loadPrerequisites(phaseNum) {
+  const num = parseInt(phaseNum, 10);
+  if (!prerequisiteCache.has(num)) {
+    const docPath = getPhaseDocPath(num);
+    const markdown = docPath && fs.existsSync(docPath) ? fs.readFileSync(docPath, 'utf-8') : '';
+    prerequisiteCache.set(num, parsePrerequisites(markdown, num));
+  }
+  return prerequisiteCache.get(num);
+}
+
+/**
+ * Direct prerequisites of a phase, read from its document header
+ */
+function getPrerequisites(phaseNum) {
+  return loadPrerequisites(phaseNum).phases;
+}
+
+/**
+ * True when the header says "All previous phases": earlier phases only need
+ * to be finished, so a skipped one does not block.
+ */
+function requiresAllPrevious(phaseNum) {
+  return loadPrerequisites(phaseNum).allPrevious;
+}
+
+/**
+ * Dependency graph of every registered phase: { phaseNum: [prerequisite phaseNums] }
+ */
+function getDependencyGraph() {
+  const graph = {};
+  for (const num of PHASE_NUMBERS) {
+    graph[num] = getPrerequisites(num);
+  }
+  return graph;
+}
+
+module.exports = {
+  PHASES,
+  PHASE_NUMBERS,
+  FIRST_PHASE,
+  LAST_PHASE,
+  SCAFFOLDING_DIR,
+  padPhase,
+  getPhase,
+  isValidPhase,
+  getPhaseFile,
+  getPhaseDocPath,
+  getSkipReason,
+  getContentAssertions,
+  getExpectedFiles,
+  parsePrerequisites,
+  getPrerequisites,
+  requiresAllPrevious,
+  getDependencyGraph,
+};
@@ -0,0 +1,185 @@
+/**
+ * Phase Snapshots
+ *
+ * Before a phase starts, the workspace's files are recorded under
+ * .scaffolding/snapshots/ (an index of path → sha256 per phase, plus
+ * content-addressed copies shared by all phases). Diffing the workspace
+ * against the snapshot tells which files the phase created, modified or
+ * deleted, and the copies let undo-phase put modified files back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('./artifact-manifest');
+const { padPhase } = require('./phase-registry');
+const { writeFileAtomic } = require('./state-store');
+
+const SNAPSHOT_DIR = path.join('.scaffolding', 'snapshots');
+
+// Never snapshotted: dependencies, build output, VCS, and the scaffolding's own bookkeeping
+const IGNORED_DIRS = new Set([
+  'node_modules', '.git', '.scaffolding', 'Masterguide',
+  '.venv', 'venv', '__pycache__', '.pytest_cache', '.mypy_cache', '.ruff_cache',
+  '.next', '.turbo', 'dist', 'build', 'coverage',
+]);
+const IGNORED_FILES = /^scaffold-(state\.json.*|history\.jsonl)$|^\.scaffold-state\.json\..*\.tmp$/;
+
+/**
+ * Every tracked file (relative, forward slashes) and directory in the workspace
+ */
+function walkWorkspace(workspaceRoot) {
+  const files = [];
+  const dirs = [];
+  const visit = (dir) => {
+    for (const entry of fs.readdirSync(path.join(workspaceRoot, dir), { withFileTypes: true })) {
+      const rel = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (IGNORED_DIRS.has(entry.name)) continue;
+        dirs.push(rel);
+        visit(rel);
+      } else if (entry.isFile() && !IGNORED_FILES.test(entry.name)) {
+        files.push(rel);
+      }
+    }
+  };
+  visit('');
+  return { files: files.sort(), dirs: dirs.sort() };
+}
+
+class PhaseSnapshots {
+  constructor(workspaceRoot = process.cwd()) {
+    this.workspaceRoot = workspaceRoot;
+    this.root = path.join(workspaceRoot, SNAPSHOT_DIR);
+    this.objectsDir = path.join(this.root, 'objects');
+  }
+
+  indexPath(phaseNum) {
+    return path.join(this.root, `phase-${padPhase(phaseNum)}.json`);
+  }
+
+  has(phaseNum) {
+    return fs.existsSync(this.indexPath(phaseNum));
+  }
+
+  load(phaseNum) {
+    return this.has(phaseNum) ? JSON.parse(fs.readFileSync(this.indexPath(phaseNum), 'utf-8')) : null;
+  }
+
+  /**
+   * Record the workspace as it is before a phase runs. A phase keeps its first
+   * snapshot across retries, so undo always returns to the true pre-phase state.
+   * Returns the snapshot ({ phase, takenAt, files: { path: sha256 }, dirs }).
+   */
+  take(phaseNum) {
+    const existing = this.load(phaseNum);
+    if (existing) return existing;
+
+    fs.mkdirSync(this.objectsDir, { recursive: true });
+    const { files, dirs } = walkWorkspace(this.workspaceRoot);
+    const snapshot = { phase: parseInt(phaseNum, 10), takenAt: new Date().toISOString(), files: {}, dirs };
+
+    for (const file of files) {
+      const fullPath = path.join(this.workspaceRoot, file);
+      const hash = hashFile(fullPath);
+      const objectPath = path.join(this.objectsDir, hash);
+      if (!fs.existsSync(objectPath)) fs.copyFileSync(fullPath, objectPath);
+      snapshot.files[file] = hash;
+    }
+
+    writeFileAtomic(this.indexPath(phaseNum), JSON.stringify(snapshot, null, 2));
+    return snapshot;
+  }
+
+  /**
+   * Compare the workspace with a phase's snapshot, limited to `scope` (the files the phase
+   * owns) when given: other phases running in the same window change the workspace too.
+   * Returns { created, modified, deleted } (relative paths), or null without a snapshot.
+   */
+  diff(phaseNum, scope = null) {
+    const snapshot = this.load(phaseNum);
+    if (!snapshot) return null;
+
+    const files = scope
+      ? [...new Set(scope)].filter(f => fs.existsSync(path.join(this.workspaceRoot, f))).sort()
+      : walkWorkspace(this.workspaceRoot).files;
+    const current = new Set(files);
+    const changes = { created: [], modified: [], deleted: [] };
+
+    for (const file of files) {
+      if (!(file in snapshot.files)) {
+        changes.created.push(file);
+      } else if (hashFile(path.join(this.workspaceRoot, file)) !== snapshot.files[file]) {
+        changes.modified.push(file);
+      }
+    }
+    changes.deleted = (scope ? [...new Set(scope)].sort() : Object.keys(snapshot.files))
+      .filter(f => f in snapshot.files && !current.has(f));
+    return changes;
+  }
+
+  /**
+   * Put a file back to its pre-phase content
+   */
+  restore(phaseNum, file) {
+    const snapshot = this.load(phaseNum);
+    const hash = snapshot?.files[file];
+    if (!hash) throw new Error(`${file} is not in the Phase ${padPhase(phaseNum)} snapshot`);
+
+    const fullPath = path.join(this.workspaceRoot, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.copyFileSync(path.join(this.objectsDir, hash), fullPath);
+  }
+
+  /**
+   * Remove directories that are empty now and did not exist before the phase
+   * (deepest first). Returns the removed directories.
+   */
+  pruneCreatedDirs(phaseNum, candidates) {
+    const snapshot = this.load(phaseNum);
+    const existed = new Set(snapshot ? snapshot.dirs : []);
+    const dirs = new Set();
+    for (const file of candidates) {
+      let dir = path.posix.dirname(file);
+      while (dir !== '.' && !existed.has(dir)) {
+        dirs.add(dir);
+        dir = path.posix.dirname(dir);
+      }
+    }
+
+    const removed = [];
+    for (const dir of [...dirs].sort((a, b) => b.length - a.length)) {
+      const fullPath = path.join(this.workspaceRoot, dir);
+      if (fs.existsSync(fullPath) && fs.readdirSync(fullPath).length === 0) {
+        fs.rmdirSync(fullPath);
+        removed.push(dir);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Delete a phase's snapshot and any copies no other snapshot references
+   */
+  remove(phaseNum) {
+    if (!this.has(phaseNum)) return;
+    fs.rmSync(this.indexPath(phaseNum));
+
+    const referenced = new Set();
+    for (const name of fs.readdirSync(this.root)) {
+      if (/^phase-\d+\.json$/.test(name)) {
+        const other = JSON.parse(fs.readFileSync(path.join(this.root, name), 'utf-8'));
+        Object.values(other.files).forEach(h => referenced.add(h));
+      }
+    }
+    if (!fs.existsSync(this.objectsDir)) return;
+    for (const hash of fs.readdirSync(this.objectsDir)) {
+      if (!referenced.has(hash)) fs.rmSync(path.join(this.objectsDir, hash));
+    }
+  }
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  PhaseSnapshots,
+  walkWorkspace,
+};
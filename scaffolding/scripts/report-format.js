@@ -0,0 +1,102 @@
+/**
+ * Report Formats
+ *
+ * Shared --format handling for verify-phase.js and smoke-test.js.
+ *   text   emoji console output (default)
+ *   json   the scripts' own result structures, serialized
+ *   junit  JUnit XML for CI test reporters
+ */
+
+const FORMATS = ['text', 'json', 'junit'];
+
+/**
+ * Pull "--format <name>" / "--format=<name>" out of argv.
+ * Returns { format, args } with the option removed. Throws on an unknown format.
+ */
+function parseFormatArg(argv) {
+  const args = [];
+  let format = 'text';
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      format = argv[++i];
+    } else if (arg.startsWith('--format=')) {
+      format = arg.slice('--format='.length);
+    } else {
+      args.push(arg);
+    }
+  }
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+  return { format, args };
+}
+
+/**
+ * Send console.log to stderr so stdout carries only the machine-readable report
+ */
+function routeLogsToStderr() {
+  console.log = (...args) => console.error(...args);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // XML 1.0 forbids most control characters, which show up in captured tool output
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Render suites as JUnit XML.
+ * suites: [{ name, cases: [{ name, classname, status: passed|failed|skipped, durationMs, message?, stderr? }] }]
+ */
+function toJUnitXml(name, suites, timestamp = new Date().toISOString()) {
+  const count = (cases, status) => cases.filter(c => c.status === status).length;
+  const all = suites.flatMap(s => s.cases);
+  const total = (cases) => cases.reduce((sum, c) => sum + (c.durationMs || 0), 0);
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="${escapeXml(name)}" tests="${all.length}" failures="${count(all, 'failed')}" skipped="${count(all, 'skipped')}" time="${seconds(total(all))}">`);
+
+  for (const suite of suites) {
+    lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${count(suite.cases, 'failed')}" skipped="${count(suite.cases, 'skipped')}" time="${seconds(total(suite.cases))}" timestamp="${escapeXml(timestamp)}">`);
+    for (const c of suite.cases) {
+      const open = `    <testcase name="${escapeXml(c.name)}" classname="${escapeXml(c.classname || suite.name)}" time="${seconds(c.durationMs)}"`;
+      if (c.status === 'passed' && !c.stderr) {
+        lines.push(`${open}/>`);
+        continue;
+      }
+      lines.push(`${open}>`);
+      if (c.status === 'failed') {
+        lines.push(`      <failure message="${escapeXml(c.message || 'failed')}"/>`);
+      } else if (c.status === 'skipped') {
+        lines.push(`      <skipped message="${escapeXml(c.message || '')}"/>`);
+      }
+      if (c.stderr) {
+        lines.push(`      <system-err>${escapeXml(c.stderr)}</system-err>`);
+      }
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  FORMATS,
+  parseFormatArg,
+  routeLogsToStderr,
+  escapeXml,
+  toJUnitXml,
+};
@@ -8,12 +8,48 @@
 const fs = require('fs');
 const path = require('path');
 const { ScaffoldState } = require('./scaffold-state');
+const { PHASE_NUMBERS, getPhase, padPhase } = require('./phase-registry');
+const { describeFailure } = require('./failure-classifier');
+const { TroubleshootingIndex } = require('./troubleshooting-index');
 
 class ResumeScaffold {
   constructor(workspaceRoot = process.cwd()) {
     this.workspaceRoot = workspaceRoot;
     this.state = new ScaffoldState(workspaceRoot).init();
     this.scaffoldingDir = path.join(workspaceRoot, 'Masterguide', 'scaffolding');
+    this.troubleshooting = new TroubleshootingIndex();
+  }
+
+  /**
+   * TROUBLESHOOTING.md entry matching a failed phase's recorded error, or null
+   */
+  getRemedy(phaseNum) {
+    return this.troubleshooting.matchPhase(phaseNum, this.state.state.phases[phaseNum]);
+  }
+
+  /**
+   * A matched remedy as Markdown lines, e.g. for inlining under "Known fix"
+   */
+  formatRemedy(remedy) {
+    const where = remedy.phase ? `Phase ${padPhase(remedy.phase)} Issues` : remedy.section;
+    return [
+      `From TROUBLESHOOTING.md → ${where} → ${remedy.heading}:`,
+      '',
+      remedy.body,
+    ];
+  }
+
+  /**
+   * A phase's last repair-phase.js run as Markdown lines: what it fixed and what it left to do by hand
+   */
+  formatRepair(repair) {
+    const lines = [`repair-phase.js applied ${this.state.describeRepair(repair)}:`];
+    repair.fixes.forEach(f => lines.push(`- ${f.action} (${f.detected})`));
+    if (repair.warnings.length > 0) {
+      lines.push('', 'Left for manual fixes:');
+      repair.warnings.forEach(w => lines.push(`- ${w}`));
+    }
+    return lines;
   }
 
   /**
@@ -39,7 +75,7 @@ class ResumeScaffold {
     
     // Phase breakdown
     output.push('## Phase Status');
-    for (let i = 1; i <= 11; i++) {
+    for (const i of PHASE_NUMBERS) {
       const p = this.state.state.phases[i];
       const icon = {
         'completed': '✅',
@@ -49,9 +85,18 @@ class ResumeScaffold {
         'pending': '⬜',
       }[p.status];
       
-      let line = `${icon} Phase ${String(i).padStart(2, '0')}: ${p.name}`;
+      let line = `${icon} Phase ${padPhase(i)}: ${p.name}`;
       if (p.status === 'failed' && p.error) {
         line += ` — ERROR: ${p.error}`;
+        if (p.failure) line += ` [${p.failure.category}]`;
+        if (this.state.getAttemptBudget(i).exhausted) line += ' — NEEDS HUMAN';
+      }
+      const lease = this.state.getLease(i);
+      if (lease) {
+        line += lease.stale ? ` — STALE (${this.state.describeLease(lease)})` : ` (${this.state.describeLease(lease)})`;
+      }
+      if (p.lastRepair) {
+        line += ` — repaired (${this.state.describeRepair(p.lastRepair)})`;
       }
       if (p.status === 'completed' && this.state.state.metrics.phaseDurations[i]) {
         const duration = Math.round(this.state.state.metrics.phaseDurations[i] / 1000);
@@ -61,6 +106,17 @@ class ResumeScaffold {
     }
     output.push('');
     
+    // Completed phases whose artifacts changed since completion
+    const drifted = PHASE_NUMBERS.map(i => this.state.getDrift(i)).filter(r => r && r.drifted.length > 0);
+    if (drifted.length > 0) {
+      output.push('## ⚠️ Artifact Drift');
+      for (const r of drifted) {
+        output.push(`- Phase ${padPhase(r.phase)} (${r.name}): ${r.drifted.map(e => `${e.path} ${e.status.replace('_', ' ')}`).join(', ')}`);
+      }
+      output.push('Run `node Masterguide/scaffolding/scripts/scaffold-state.js drift` for details before building on these phases.');
+      output.push('');
+    }
+    
     // Next action
     output.push('## Next Action');
     if (instructions.action === 'complete') {
@@ -70,22 +126,79 @@ class ResumeScaffold {
       output.push('```');
       output.push('node Masterguide/scaffolding/scripts/smoke-test.js');
       output.push('```');
+    } else if (instructions.action === 'blocked') {
+      output.push(instructions.message);
+      output.push('');
+      output.push('Resolve the prerequisites above (complete or retry them), then resume.');
+    } else if (instructions.action === 'needs_human') {
+      output.push(instructions.message);
+      output.push('');
+      output.push('The retry budget for this phase is used up. Do not retry it again; a human needs to:');
+      output.push('1. Review the error and TROUBLESHOOTING.md');
+      output.push('2. Fix the cause (install the tool/package, correct the file, ...)');
+      output.push(`3. Return the phase to pending: \`${instructions.command}\``);
+      const remedy = this.getRemedy(instructions.phase);
+      if (remedy) {
+        output.push('');
+        output.push('### Known Fix');
+        output.push(...this.formatRemedy(remedy));
+      }
+      if (instructions.repair) {
+        output.push('');
+        output.push('### Repairs Applied');
+        output.push(...this.formatRepair(instructions.repair));
+      }
+      if (instructions.alsoRunnable.length > 0) {
+        output.push('');
+        output.push(`Independent phases that can run meanwhile: ${instructions.alsoRunnable.map(padPhase).join(', ')}`);
+      }
+    } else if (instructions.action === 'in_progress') {
+      output.push(instructions.message);
+      output.push('');
+      output.push('Another session is working on the phase(s) above. Do not start them again;');
+      output.push(`continue only if that session is yours: ${instructions.command}`);
     } else {
       output.push(instructions.message);
       output.push('');
       
+      if (instructions.alsoRunnable.length > 0) {
+        output.push(`Also runnable (prerequisites met): ${instructions.alsoRunnable.map(padPhase).join(', ')}`);
+        output.push('');
+      }
+      
+      if (instructions.stale) {
+        output.push('⚠️  This phase was started but abandoned. Its artifacts may be partially written:');
+        output.push(`1. Reclaim it: \`node Masterguide/scaffolding/scripts/scaffold-state.js start ${instructions.phase}\``);
+        output.push('2. Keep files that pass verification, recreate the rest');
+        output.push('');
+      }
+      
       if (instructions.previouslyFailed) {
-        output.push('⚠️  This phase previously failed. Review the error above and:');
-        output.push('1. Check TROUBLESHOOTING.md for common fixes');
+        const remedy = this.getRemedy(instructions.phase);
+        output.push(`⚠️  This phase previously failed (${instructions.budget.remaining} failed attempt(s) left before it needs a human). Review the error above and:`);
+        output.push(remedy ? '1. Apply the known fix below' : '1. Check TROUBLESHOOTING.md for common fixes');
         output.push('2. Verify prerequisites are met');
         output.push('3. Try the repair script: `node scripts/repair-phase.js ' + instructions.phase + '`');
         output.push('');
+        if (remedy) {
+          output.push('### Known Fix');
+          output.push(...this.formatRemedy(remedy));
+          output.push('');
+        }
+      }
+      
+      if (instructions.repair) {
+        output.push('### Repairs Applied');
+        output.push(...this.formatRepair(instructions.repair));
+        output.push('');
+        output.push('Run verification before redoing any of this work — the repair may have fixed it.');
+        output.push('');
       }
       
       output.push('### Instructions');
       output.push(`1. Read: Masterguide/scaffolding/${instructions.phaseFile}`);
       output.push(`2. Execute all artifacts in the document`);
-      output.push(`3. Run verification: \`node Masterguide/scaffolding/scripts/verify-phase.js ${String(instructions.phase).padStart(2, '0')}\``);
+      output.push(`3. Run verification: \`node Masterguide/scaffolding/scripts/verify-phase.js ${padPhase(instructions.phase)}\``);
       output.push(`4. If passed, update state: \`node Masterguide/scaffolding/scripts/scaffold-state.js complete ${instructions.phase}\``);
       output.push('');
       
@@ -109,20 +222,7 @@ class ResumeScaffold {
    * Get key artifacts for a phase (simplified list)
    */
   getPhaseArtifacts(phaseNum) {
-    const artifacts = {
-      1: ['apps/web/', 'packages/backend/', 'packages/types/', 'turbo.json', 'pnpm-workspace.yaml'],
-      2: ['apps/web/lib/env.ts', 'packages/backend/src/config.py'],
-      3: ['packages/types/src/', 'packages/backend/src/exceptions.py'],
-      4: ['supabase/migrations/', 'apps/web/lib/supabase/'],
-      5: ['apps/web/lib/auth/', 'packages/backend/src/auth/'],
-      6: ['packages/backend/src/resilience/', 'apps/web/lib/resilience/'],
-      7: ['packages/backend/src/jobs/'],
-      8: ['packages/backend/src/api/', 'apps/web/app/api/jobs/'],
-      9: ['packages/backend/src/observability/', 'apps/web/lib/observability/'],
-      10: ['packages/backend/src/integrations/', 'apps/web/app/api/webhooks/'],
-      11: ['apps/web/components/ui/', 'apps/web/lib/design-tokens/'],
-    };
-    return artifacts[phaseNum] || [];
+    return getPhase(phaseNum)?.artifacts || [];
   }
 
   /**
@@ -133,7 +233,7 @@ class ResumeScaffold {
     
     if (instructions.action === 'complete') {
       return `
-The scaffolding is complete. All 11 phases have been executed successfully.
+The scaffolding is complete. All ${PHASE_NUMBERS.length} phases have been executed successfully.
 
 Your next task is to run the smoke test to validate the entire system works together:
 
@@ -145,12 +245,77 @@ If the smoke test passes, the enterprise infrastructure is ready for feature dev
 `;
     }
     
+    if (instructions.action === 'blocked') {
+      return `
+## SCAFFOLD BLOCKED
+
+No phase can be started because prerequisites are not completed.
+
+${instructions.message}
+
+### Your Task
+Report the blocked phases above to the user and wait for guidance.
+Do NOT start a phase whose prerequisites are not completed.
+`;
+    }
+    
+    const remedy = instructions.phase ? this.getRemedy(instructions.phase) : null;
+    const knownFix = remedy ? `### Known Fix
+${this.formatRemedy(remedy).join('\n')}
+
+` : '';
+    
+    const repairs = instructions.repair ? `### Repairs Applied
+${this.formatRepair(instructions.repair).join('\n')}
+
+` : '';
+    
+    if (instructions.action === 'needs_human') {
+      return `
+## SCAFFOLD NEEDS HUMAN — Phase ${instructions.phase}: ${instructions.phaseName}
+
+${instructions.message}
+
+${knownFix}${repairs}### Your Task
+Do NOT retry this phase: it has failed ${instructions.budget.failed} times, its full retry budget.
+Report the error and its category above to the user and wait for them to fix the cause.
+Once fixed, they return the phase to pending with:
+\`node Masterguide/scaffolding/scripts/scaffold-state.js rollback ${instructions.phase} "<what was fixed>"\`
+${instructions.alsoRunnable.length > 0 ? `
+Phases that do not depend on it can still run: ${instructions.alsoRunnable.map(padPhase).join(', ')}.
+Only work on them if the user agrees.
+` : ''}`;
+    }
+    
+    if (instructions.action === 'in_progress') {
+      return `
+## SCAFFOLD IN PROGRESS
+
+No phase can be started: the remaining work is already in progress in another session.
+
+${instructions.message}
+
+### Your Task
+If you are that session, continue where you left off and renew the lease while working:
+\`node Masterguide/scaffolding/scripts/scaffold-state.js heartbeat <phase>\`
+Otherwise, report the phases above to the user and wait for guidance.
+Do NOT start a phase that is in progress and not stale.
+`;
+    }
+    
     let prompt = `
 ## SCAFFOLD RESUME — Phase ${instructions.phase}: ${instructions.phaseName}
 
-${instructions.previouslyFailed ? `⚠️ WARNING: This phase previously failed with error: "${this.state.state.phases[instructions.phase].error}"
+${instructions.stale ? `⚠️ WARNING: This phase was abandoned in progress (${this.state.describeLease(instructions.stale)}).
+Reclaim it before working on it: \`node Masterguide/scaffolding/scripts/scaffold-state.js start ${instructions.phase}\`
+Some artifacts may already exist — verify them instead of blindly recreating them.
+
+` : ''}${instructions.previouslyFailed ? `⚠️ WARNING: This phase previously failed with error: "${this.state.state.phases[instructions.phase].error}"
+${instructions.failure ? `Failure category: ${describeFailure(instructions.failure)}\n` : ''}Failed attempts left before escalation to a human: ${instructions.budget.remaining} of ${instructions.budget.maxAttempts}
+
+${knownFix ? `${knownFix}Apply this fix before retrying.` : 'Before retrying, check Masterguide/scaffolding/TROUBLESHOOTING.md for common fixes.'}
 
-Before retrying, check Masterguide/scaffolding/TROUBLESHOOTING.md for common fixes.
+` : ''}${repairs ? `${repairs}Run verification before redoing any of this work — the repair may have fixed it.
 
 ` : ''}You are resuming an enterprise SaaS scaffolding process.
 
@@ -161,8 +326,8 @@ Execute Phase ${instructions.phase} (${instructions.phaseName}) by following the
 ### Process
 1. Read the phase document completely
 2. Check the "Skip Conditions" — if already done, skip to verification
-3. Create all artifacts listed in the document
-4. Run verification: \`node Masterguide/scaffolding/scripts/verify-phase.js ${String(instructions.phase).padStart(2, '0')}\`
+3. Create all artifacts listed in the document (\`node Masterguide/scaffolding/scripts/apply-phase.js ${instructions.phase}\` writes them for you), then apply its UPDATE steps by hand
+4. Run verification: \`node Masterguide/scaffolding/scripts/verify-phase.js ${padPhase(instructions.phase)}\`
 5. If verification passes, mark complete: \`node Masterguide/scaffolding/scripts/scaffold-state.js complete ${instructions.phase}\`
 6. If verification fails, check TROUBLESHOOTING.md and retry
 
@@ -0,0 +1,221 @@
+/**
+ * RLS Audit
+ *
+ * Static Row Level Security coverage check for supabase/migrations. Replays the
+ * migrations in order and reports, for every table in a schema the Supabase API
+ * exposes:
+ *   rls-disabled         the table never gets ENABLE ROW LEVEL SECURITY (readable through the API)
+ *   no-policies          RLS is on but no CREATE POLICY grants access (every API query returns nothing)
+ *   policy-on-dropped    a policy is created on, or its USING / WITH CHECK reads from, a table a migration dropped
+ *
+ * Usage: node rls-audit.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanMigrations, listMigrations, sqlName, MIGRATIONS_DIR } = require('./migration-sql');
+const { loadConfig, ConfigValidationError } = require('./config-validator');
+
+// Schemas served by the Supabase API unless supabase/config.toml says otherwise
+const DEFAULT_EXPOSED_SCHEMAS = ['public', 'graphql_public'];
+
+/**
+ * Schemas listed under [api] schemas = [...] in supabase/config.toml
+ */
+function getExposedSchemas(workspaceRoot) {
+  const configPath = path.join(workspaceRoot, 'supabase/config.toml');
+  if (!fs.existsSync(configPath)) return DEFAULT_EXPOSED_SCHEMAS;
+  const toml = fs.readFileSync(configPath, 'utf-8');
+  const api = toml.match(/^\[api\]\s*$([\s\S]*?)(?=^\[|(?![\s\S]))/m);
+  const schemas = api && api[1].match(/^\s*schemas\s*=\s*\[([^\]]*)\]/m);
+  if (!schemas) return DEFAULT_EXPOSED_SCHEMAS;
+  return [...schemas[1].matchAll(/"([^"]+)"/g)].map(m => m[1]);
+}
+
+/**
+ * Why the audit does not apply to this workspace, or null
+ */
+function getSkipReason(config) {
+  if (config?.database?.provider && config.database.provider !== 'supabase') {
+    return `database.provider=${config.database.provider}`;
+  }
+  if (config?.database?.enableRLS === false) return 'database.enableRLS=false';
+  return null;
+}
+
+/**
+ * Replay the migrations and audit RLS coverage.
+ * Returns { schemas, migrations, tables: [{ table, file, line, rls, policies }], issues: [{ kind, table, file, line, message }], passed }.
+ */
+function auditRls(workspaceRoot = process.cwd()) {
+  const schemas = getExposedSchemas(workspaceRoot);
+  const live = new Map(); // key → { table, file, line, rls, policies: [{ name, file, line, references }] }
+  const dropped = new Map(); // key → { file, line } of the DROP TABLE
+  const issues = [];
+
+  for (const stmt of scanMigrations(workspaceRoot)) {
+    switch (stmt.kind) {
+      case 'create-table':
+        if (stmt.temporary) break;
+        if (!live.has(stmt.table.key)) {
+          live.set(stmt.table.key, { table: stmt.table, file: stmt.file, line: stmt.line, rls: false, policies: [] });
+        }
+        dropped.delete(stmt.table.key);
+        break;
+
+      case 'drop-table':
+        for (const table of stmt.tables) {
+          live.delete(table.key); // its own policies go with it
+          dropped.set(table.key, { file: stmt.file, line: stmt.line });
+        }
+        break;
+
+      case 'alter-table': {
+        const entry = live.get(stmt.table.key);
+        if (!entry) break;
+        if (stmt.action === 'enable-rls') entry.rls = true;
+        if (stmt.action === 'disable-rls') entry.rls = false;
+        if (stmt.action === 'rename') {
+          live.delete(stmt.table.key);
+          entry.table = { ...entry.table, name: stmt.newName, key: `${entry.table.schema}.${stmt.newName}` };
+          live.set(entry.table.key, entry);
+        }
+        break;
+      }
+
+      case 'create-policy': {
+        const entry = live.get(stmt.table.key);
+        if (entry) {
+          entry.policies.push({ name: stmt.name, file: stmt.file, line: stmt.line, references: stmt.references });
+        } else if (dropped.has(stmt.table.key)) {
+          const at = dropped.get(stmt.table.key);
+          issues.push({
+            kind: 'policy-on-dropped',
+            table: stmt.table.key,
+            file: stmt.file,
+            line: stmt.line,
+            message: `policy "${stmt.name}" is created on ${stmt.table.key}, which ${at.file}:${at.line} dropped`,
+          });
+        }
+        break;
+      }
+
+      case 'drop-policy': {
+        const entry = live.get(stmt.table.key);
+        if (entry) entry.policies = entry.policies.filter(p => p.name !== stmt.name);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  // Policies that read from a dropped table: the DROP fails, or with CASCADE silently removes the policy
+  for (const entry of live.values()) {
+    for (const policy of entry.policies) {
+      for (const ref of policy.references.filter(r => dropped.has(r.key) && !live.has(r.key))) {
+        const at = dropped.get(ref.key);
+        issues.push({
+          kind: 'policy-on-dropped',
+          table: entry.table.key,
+          file: policy.file,
+          line: policy.line,
+          message: `policy "${policy.name}" on ${entry.table.key} reads from ${ref.key}, which ${at.file}:${at.line} drops`,
+        });
+      }
+    }
+  }
+
+  const tables = [...live.values()].filter(t => schemas.includes(t.table.schema));
+  for (const t of tables) {
+    if (!t.rls) {
+      issues.push({
+        kind: 'rls-disabled',
+        table: t.table.key,
+        file: t.file,
+        line: t.line,
+        message: `${t.table.key} never enables row level security — anyone with the anon key can read and write it (ALTER TABLE ${sqlName(t.table)} ENABLE ROW LEVEL SECURITY;)`,
+      });
+    } else if (t.policies.length === 0) {
+      issues.push({
+        kind: 'no-policies',
+        table: t.table.key,
+        file: t.file,
+        line: t.line,
+        message: `${t.table.key} has RLS enabled but no CREATE POLICY — every API query on it returns nothing`,
+      });
+    }
+  }
+
+  return {
+    schemas,
+    migrations: listMigrations(workspaceRoot).length,
+    tables: tables.map(t => ({ table: t.table.key, file: t.file, line: t.line, rls: t.rls, policies: t.policies.map(p => p.name) })),
+    issues,
+    passed: issues.length === 0,
+  };
+}
+
+/**
+ * "file:line message" for an issue
+ */
+function formatIssue(issue) {
+  return `${issue.file}:${issue.line} ${issue.message}`;
+}
+
+// CLI
+if (require.main === module) {
+  const configPath = path.join(process.cwd(), 'scaffold-config.json');
+  let config;
+  try {
+    config = fs.existsSync(configPath) ? loadConfig(configPath) : null;
+  } catch (e) {
+    if (!(e instanceof ConfigValidationError)) throw e;
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log('═'.repeat(50));
+  console.log('🛡️  RLS AUDIT');
+  console.log('═'.repeat(50));
+  console.log('');
+
+  const skipReason = getSkipReason(config);
+  if (skipReason) {
+    console.log(`⏭️  Skipped by configuration (${skipReason})`);
+    process.exit(0);
+  }
+
+  const report = auditRls();
+  if (report.migrations === 0) {
+    console.log(`ℹ️  No migrations in ${MIGRATIONS_DIR}`);
+    process.exit(0);
+  }
+
+  console.log(`Exposed schemas: ${report.schemas.join(', ')}`);
+  console.log(`Migrations: ${report.migrations}`);
+  console.log('');
+  for (const t of report.tables) {
+    const icon = t.rls && t.policies.length > 0 ? '✅' : '❌';
+    console.log(`${icon} ${t.table.padEnd(30)} RLS ${t.rls ? 'on ' : 'off'}  ${t.policies.length} polic${t.policies.length === 1 ? 'y' : 'ies'}`);
+  }
+
+  console.log('');
+  if (report.passed) {
+    console.log(`✅ All ${report.tables.length} exposed table(s) have RLS and policies`);
+  } else {
+    console.log(`❌ ${report.issues.length} issue(s):`);
+    report.issues.forEach(i => console.log(`   - ${formatIssue(i)}`));
+  }
+  process.exit(report.passed ? 0 : 1);
+}
+
+module.exports = {
+  DEFAULT_EXPOSED_SCHEMAS,
+  getExposedSchemas,
+  getSkipReason,
+  auditRls,
+  formatIssue,
+};
@@ -7,32 +7,68 @@
 
 const fs = require('fs');
 const path = require('path');
+const {
+  PHASES,
+  PHASE_NUMBERS,
+  padPhase,
+  getPhaseFile,
+  isValidPhase,
+  getPrerequisites,
+  requiresAllPrevious,
+  getSkipReason,
+  getExpectedFiles,
+  getDependencyGraph,
+} = require('./phase-registry');
+const { loadConfig, ConfigValidationError } = require('./config-validator');
+const { buildManifest, diffManifest, DRIFT_ICONS } = require('./artifact-manifest');
+const { JsonStore, StateLockError, StateCorruptError } = require('./state-store');
+const { StateJournal, HISTORY_FILE, detectActor } = require('./state-journal');
+const { FAILURE_CATEGORIES, classifyFailure, describeFailure } = require('./failure-classifier');
+const { PhaseSnapshots, SNAPSHOT_DIR } = require('./phase-snapshot');
+const { loadPhaseDocument } = require('./phase-document');
+const { CURRENT_VERSION, StateVersionError, stateVersion, needsMigration, assertSupportedVersion, migrateState } = require('./state-migrations');
 
 const STATE_FILE = 'scaffold-state.json';
 const CONFIG_FILE = 'scaffold-config.json';
 
+// In-progress phases without a heartbeat for this long count as abandoned
+// (scaffoldOptions.staleAfterMinutes overrides it)
+const DEFAULT_STALE_AFTER_MINUTES = 30;
+
+// Failed attempts per phase before resume escalates to a human
+// (scaffoldOptions.maxAttempts / phaseMaxAttempts override it)
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Compact age for humans: "45s", "12m", "3h 5m"
+ */
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// One pending record per registered phase
+function buildPhases() {
+  const phases = {};
+  for (const p of PHASES) {
+    phases[p.num] = { status: 'pending', name: p.name, title: p.title, startedAt: null, completedAt: null, error: null, attempts: 0 };
+  }
+  return phases;
+}
+
 // Default state structure
 const DEFAULT_STATE = {
-  version: '1.0.0',
+  version: CURRENT_VERSION,
   projectName: null,
   startedAt: null,
   lastUpdated: null,
   completedAt: null,
   status: 'not_started', // not_started, in_progress, completed, failed
   currentPhase: 0,
-  phases: {
-    1: { status: 'pending', name: 'WORKSPACE', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    2: { status: 'pending', name: 'ENVIRONMENT', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    3: { status: 'pending', name: 'TYPES', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    4: { status: 'pending', name: 'DATABASE', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    5: { status: 'pending', name: 'AUTH', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    6: { status: 'pending', name: 'RESILIENCE', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    7: { status: 'pending', name: 'WORKERS', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    8: { status: 'pending', name: 'API', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    9: { status: 'pending', name: 'OBSERVABILITY', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    10: { status: 'pending', name: 'INTEGRATIONS', startedAt: null, completedAt: null, error: null, attempts: 0 },
-    11: { status: 'pending', name: 'FRONTEND', startedAt: null, completedAt: null, error: null, attempts: 0 },
-  },
+  phases: buildPhases(),
   config: null,
   errors: [],
   metrics: {
@@ -47,143 +83,720 @@ class ScaffoldState {
     this.workspaceRoot = workspaceRoot;
     this.statePath = path.join(workspaceRoot, STATE_FILE);
     this.configPath = path.join(workspaceRoot, CONFIG_FILE);
+    this.store = new JsonStore(this.statePath);
+    this.journal = new StateJournal(workspaceRoot);
+    this.snapshots = new PhaseSnapshots(workspaceRoot);
+    this.pendingEntries = [];
     this.state = null;
   }
 
   /**
-   * Initialize or load existing state
+   * Initialize or load existing state.
+   * A new state is only created from a config that passes schema validation.
    */
   init() {
-    if (fs.existsSync(this.statePath)) {
-      this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
-      console.log(`📂 Loaded existing scaffold state (Phase ${this.state.currentPhase}, Status: ${this.state.status})`);
-    } else {
+    const created = this.store.lock.withLock(() => {
+      if (this.store.exists()) {
+        this.load();
+        return false;
+      }
+      
       this.state = JSON.parse(JSON.stringify(DEFAULT_STATE));
       this.state.startedAt = new Date().toISOString();
       
-      // Load config if exists
+      // Load config if exists (throws ConfigValidationError before anything is written)
       if (fs.existsSync(this.configPath)) {
-        this.state.config = JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+        this.state.config = loadConfig(this.configPath);
         this.state.projectName = this.state.config.projectName;
       }
       
       this.save();
+      return true;
+    });
+    
+    if (created) {
       console.log('📂 Created new scaffold state');
+    } else {
+      console.log(`📂 Loaded existing scaffold state (Phase ${this.state.currentPhase}, Status: ${this.state.status})`);
     }
     return this;
   }
 
   /**
-   * Save state to disk
+   * Read the state file into this.state, upgrading older versions in place.
+   * Throws StateVersionError for files from newer scripts. Call under the state lock.
+   */
+  load() {
+    const migration = this.migrate();
+    if (migration.steps.length > 0) {
+      console.log(`🔧 Migrated scaffold state ${migration.from} → ${migration.to} (backup: ${path.basename(migration.backupPath)})`);
+    }
+    if (this.addMissingPhases()) this.save();
+  }
+
+  /**
+   * Bring the state file up to CURRENT_VERSION. The pre-migration file is kept as
+   * scaffold-state.json.v<old>.bak. With dryRun, nothing is written.
+   * Returns { from, to, steps: [{ from, to, description, changes }], backupPath }.
+   */
+  migrate({ dryRun = false } = {}) {
+    return this.store.lock.withLock(() => {
+      const state = this.store.read();
+      assertSupportedVersion(state, this.statePath);
+      
+      const from = stateVersion(state);
+      if (!needsMigration(state)) {
+        this.state = state;
+        return { from, to: from, steps: [], backupPath: null };
+      }
+      
+      if (dryRun) {
+        const steps = migrateState(JSON.parse(JSON.stringify(state)), this.statePath);
+        this.state = state;
+        return { from, to: CURRENT_VERSION, steps, backupPath: null };
+      }
+      
+      const backupPath = this.store.snapshot(`v${from}`);
+      const steps = migrateState(state, this.statePath);
+      this.state = state;
+      this.save();
+      return { from, to: state.version, steps, backupPath };
+    });
+  }
+
+  /**
+   * Add records for phases registered after this state file was created
+   */
+  addMissingPhases() {
+    let added = false;
+    for (const [num, record] of Object.entries(buildPhases())) {
+      if (!this.state.phases[num]) {
+        this.state.phases[num] = record;
+        added = true;
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Save state to disk (atomic write under the state lock).
+   * Prefer update() for changes, so writes from other processes are not lost.
    */
   save() {
     this.state.lastUpdated = new Date().toISOString();
-    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+    this.store.lock.withLock(() => this.store.write(this.state));
   }
 
   /**
-   * Start a phase
+   * Read-modify-write under the state lock: reloads the file (keeping changes other
+   * processes made since init), applies mutate(state), saves, journals the transitions
+   * queued by setPhaseStatus(), and returns mutate's result.
+   * If mutate throws, nothing is written.
    */
-  startPhase(phaseNum) {
+  update(mutate) {
+    return this.store.lock.withLock(() => {
+      this.pendingEntries = [];
+      try {
+        if (this.store.exists()) {
+          this.load();
+        }
+        const result = mutate(this.state);
+        this.save();
+        this.journal.append(this.pendingEntries);
+        return result;
+      } finally {
+        this.pendingEntries = [];
+      }
+    });
+  }
+
+  /**
+   * Change a phase's status and queue the transition for the journal (call inside update())
+   */
+  setPhaseStatus(phaseNum, status, details = {}) {
     const phase = this.state.phases[phaseNum];
-    if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+    this.pendingEntries.push({
+      event: 'transition',
+      phase: parseInt(phaseNum, 10),
+      name: phase.name,
+      from: phase.status,
+      to: status,
+      ...details,
+    });
+    phase.status = status;
+  }
+
+  /**
+   * Start a phase (refuses while prerequisites are unmet unless forced).
+   * A phase already in progress can only be started again once its lease is stale.
+   */
+  startPhase(phaseNum, { force = false } = {}) {
+    const phase = this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      const unmet = this.getUnmetPrerequisites(phaseNum);
+      if (unmet.length > 0 && !force) {
+        throw new Error(`Cannot start Phase ${padPhase(phaseNum)} (${phase.name}): ${this.describeUnmet(unmet)}`);
+      }
+      
+      const budget = this.getAttemptBudget(phaseNum);
+      if (phase.status === 'failed' && budget.exhausted && !force) {
+        throw new Error(`Phase ${padPhase(phaseNum)} (${phase.name}) failed ${budget.failed} times (budget ${budget.maxAttempts}) and needs human review: ${describeFailure(phase.failure)}`);
+      }
+      
+      const lease = this.getLease(phaseNum);
+      if (lease && !lease.stale && !force) {
+        throw new Error(`Phase ${padPhase(phaseNum)} (${phase.name}) is already in progress (${this.describeLease(lease)})`);
+      }
+      
+      // Record the workspace before the phase touches it (kept across retries)
+      this.snapshots.take(phaseNum);
+      
+      phase.attempts += 1;
+      this.setPhaseStatus(phaseNum, 'in_progress', {
+        attempt: phase.attempts,
+        ...(unmet.length > 0 ? { forced: true } : {}),
+        ...(lease ? { reclaimedFrom: lease.owner, reason: `took over: ${this.describeLease(lease)}` } : {}),
+      });
+      phase.startedAt = new Date().toISOString();
+      phase.lease = { owner: detectActor(), heartbeatAt: phase.startedAt };
+      state.currentPhase = phaseNum;
+      state.status = 'in_progress';
+      return phase;
+    });
     
-    phase.status = 'in_progress';
-    phase.startedAt = new Date().toISOString();
-    phase.attempts += 1;
-    this.state.currentPhase = phaseNum;
-    this.state.status = 'in_progress';
+    console.log(`▶️  Started Phase ${padPhase(phaseNum)}: ${phase.name} (Attempt ${phase.attempts})`);
+  }
+
+  /**
+   * Complete a phase (refuses while prerequisites are unmet unless forced)
+   */
+  completePhase(phaseNum, { force = false } = {}) {
+    const phase = this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      const unmet = this.getUnmetPrerequisites(phaseNum);
+      if (unmet.length > 0 && !force) {
+        throw new Error(`Cannot complete Phase ${padPhase(phaseNum)} (${phase.name}): ${this.describeUnmet(unmet)}`);
+      }
+      
+      this.setPhaseStatus(phaseNum, 'completed', unmet.length > 0 ? { forced: true } : {});
+      phase.completedAt = new Date().toISOString();
+      phase.error = null;
+      delete phase.lease;
+      delete phase.failure;
+      delete phase.failedAttempts;
+      delete phase.lastRepair;
+      
+      // Created vs modified files of this phase, relative to the pre-phase snapshot
+      const changes = this.snapshots.diff(phaseNum, this.getPhaseFiles(phaseNum, { includeUpdates: true }));
+      if (changes) {
+        phase.changes = { recordedAt: phase.completedAt, ...changes };
+      }
+      phase.manifest = buildManifest(this.workspaceRoot, this.getPhaseFiles(phaseNum));
+      
+      // Calculate duration
+      if (phase.startedAt) {
+        const duration = new Date(phase.completedAt) - new Date(phase.startedAt);
+        state.metrics.phaseDurations[phaseNum] = duration;
+      }
+      
+      // Check if all phases complete (skipped phases count as done)
+      const allComplete = Object.values(state.phases).every(p => p.status === 'completed' || p.status === 'skipped');
+      if (allComplete) {
+        state.status = 'completed';
+        state.completedAt = new Date().toISOString();
+        state.metrics.totalDuration = new Date(state.completedAt) - new Date(state.startedAt);
+      }
+      return phase;
+    });
     
-    this.save();
-    console.log(`▶️  Started Phase ${String(phaseNum).padStart(2, '0')}: ${phase.name} (Attempt ${phase.attempts})`);
+    console.log(`✅ Completed Phase ${padPhase(phaseNum)}: ${phase.name}`);
   }
 
   /**
-   * Complete a phase
+   * Fail a phase. The error is classified (missing-file, missing-dependency, ...)
+   * unless a category is given.
    */
-  completePhase(phaseNum) {
-    const phase = this.state.phases[phaseNum];
-    if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+  failPhase(phaseNum, error, { category, details } = {}) {
+    const failure = category
+      ? { category, details: details || {} }
+      : (({ category, details }) => ({ category, details }))(classifyFailure(error));
     
-    phase.status = 'completed';
-    phase.completedAt = new Date().toISOString();
-    phase.error = null;
+    const phase = this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      this.setPhaseStatus(phaseNum, 'failed', { reason: error, category: failure.category, attempt: phase.attempts });
+      phase.error = error;
+      phase.failure = failure;
+      phase.failedAttempts = (phase.failedAttempts || 0) + 1;
+      delete phase.lease;
+      state.status = 'failed';
+      state.metrics.retryCount += 1;
+      
+      state.errors.push({
+        phase: phaseNum,
+        error: error,
+        category: failure.category,
+        details: failure.details,
+        timestamp: new Date().toISOString(),
+        attempt: phase.attempts,
+      });
+      return phase;
+    });
     
-    // Calculate duration
-    if (phase.startedAt) {
-      const duration = new Date(phase.completedAt) - new Date(phase.startedAt);
-      this.state.metrics.phaseDurations[phaseNum] = duration;
+    const budget = this.getAttemptBudget(phaseNum);
+    console.log(`❌ Failed Phase ${padPhase(phaseNum)}: ${phase.name}`);
+    console.log(`   Error: ${error}`);
+    console.log(`   Category: ${describeFailure(failure)}`);
+    console.log(budget.exhausted
+      ? `   🛑 Retry budget exhausted (${budget.failed}/${budget.maxAttempts} failed attempts): needs human review`
+      : `   Failed attempts: ${budget.failed}/${budget.maxAttempts}`);
+  }
+
+  /**
+   * Failed attempts allowed for a phase (phaseMaxAttempts, then maxAttempts, then the default)
+   */
+  getMaxAttempts(phaseNum) {
+    const options = this.state.config?.scaffoldOptions || {};
+    const override = (options.phaseMaxAttempts || []).find(o => o.phase === parseInt(phaseNum, 10));
+    return override?.maxAttempts ?? options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Retry budget of a phase: { failed, maxAttempts, remaining, exhausted }.
+   * Failures count since the phase was last completed, rolled back or undone.
+   */
+  getAttemptBudget(phaseNum) {
+    const failed = this.state.phases[phaseNum]?.failedAttempts || 0;
+    const maxAttempts = this.getMaxAttempts(phaseNum);
+    return { failed, maxAttempts, remaining: Math.max(0, maxAttempts - failed), exhausted: failed >= maxAttempts };
+  }
+
+  /**
+   * Failed phases that have used up their retry budget
+   */
+  getExhaustedPhases() {
+    return PHASE_NUMBERS.filter(i => this.state.phases[i].status === 'failed' && this.getAttemptBudget(i).exhausted);
+  }
+
+  /**
+   * Files a phase is responsible for: what the config expects and anything apply-phase.js wrote.
+   * Other changes in the workspace while the phase ran may belong to other phases.
+   * With includeUpdates, also the files its UPDATE steps edit (recorded by apply-phase.js and
+   * listed in the document): the snapshot diff needs them so undo restores them, but later
+   * phases edit them too, so they stay out of the drift manifest.
+   */
+  getPhaseFiles(phaseNum, { includeUpdates = false } = {}) {
+    const phase = this.state.phases[phaseNum];
+    const applied = phase?.applied || { created: [], overwritten: [], pendingUpdates: [] };
+    const updates = includeUpdates
+      ? [...(applied.pendingUpdates || []), ...(loadPhaseDocument(phaseNum)?.updates || []).map(u => u.target)]
+      : [];
+    return [...new Set([
+      ...getExpectedFiles(phaseNum, this.state.config).files,
+      ...applied.created,
+      ...applied.overwritten,
+      ...updates,
+    ])];
+  }
+
+  /**
+   * Compare a completed phase's manifest with the workspace.
+   * Returns null when the phase has no manifest (not completed, or completed before manifests existed).
+   */
+  getDrift(phaseNum) {
+    const phase = this.state.phases[phaseNum];
+    if (!phase?.manifest) return null;
+    
+    const entries = diffManifest(this.workspaceRoot, phase.manifest);
+    return {
+      phase: parseInt(phaseNum, 10),
+      name: phase.name,
+      recordedAt: phase.manifest.recordedAt,
+      entries,
+      drifted: entries.filter(e => e.status === 'modified' || e.status === 'deleted' || e.status === 'never_created'),
+    };
+  }
+
+  /**
+   * Renew an in-progress phase's lease on activity other than a heartbeat, such as
+   * writing artifacts or repairing (inside update())
+   */
+  touchLease(phase) {
+    if (phase.status === 'in_progress') {
+      phase.lease = { owner: phase.lease?.owner || detectActor(), heartbeatAt: new Date().toISOString() };
     }
+  }
+
+  /**
+   * Record the files apply-phase.js wrote for a phase
+   */
+  recordAppliedArtifacts(phaseNum, { created = [], overwritten = [], pendingUpdates = [] }) {
+    this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      this.touchLease(phase);
+      
+      // A file this phase created earlier stays "created" even if a later run overwrites it
+      const previous = phase.applied || { created: [], overwritten: [] };
+      const allCreated = [...new Set([...previous.created, ...created])];
+      phase.applied = {
+        appliedAt: new Date().toISOString(),
+        created: allCreated,
+        overwritten: [...new Set([...previous.overwritten, ...overwritten])].filter(f => !allCreated.includes(f)),
+        pendingUpdates,
+      };
+    });
+  }
+
+  /**
+   * Record the fixes repair-phase.js applied to a phase, so the next resume mentions them
+   */
+  recordRepair(phaseNum, { fixes = [], warnings = [] }) {
+    return this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      this.touchLease(phase);
+      
+      phase.lastRepair = { repairedAt: new Date().toISOString(), by: detectActor(), fixes, warnings };
+      this.pendingEntries.push({
+        event: 'repair',
+        phase: parseInt(phaseNum, 10),
+        name: phase.name,
+        fixes: fixes.map(f => f.action),
+      });
+      return phase.lastRepair;
+    });
+  }
+
+  /**
+   * One-line description of a phase's last repair, e.g. "3 fix(es) by agent 12m ago"
+   */
+  describeRepair(repair) {
+    if (!repair) return '';
+    return `${repair.fixes.length} fix(es) by ${repair.by} ${formatAge(Date.now() - new Date(repair.repairedAt))} ago`;
+  }
+
+  /**
+   * Skip a phase
+   */
+  skipPhase(phaseNum, reason = 'Skipped by configuration') {
+    const phase = this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      this.setPhaseStatus(phaseNum, 'skipped', { reason });
+      phase.error = reason;
+      return phase;
+    });
     
-    // Check if all phases complete
-    const allComplete = Object.values(this.state.phases).every(p => p.status === 'completed');
-    if (allComplete) {
-      this.state.status = 'completed';
-      this.state.completedAt = new Date().toISOString();
-      this.state.metrics.totalDuration = new Date(this.state.completedAt) - new Date(this.state.startedAt);
+    console.log(`⏭️  Skipped Phase ${padPhase(phaseNum)}: ${phase.name} (${reason})`);
+  }
+
+  /**
+   * Phases that depend on a phase, directly or transitively (in registry order)
+   */
+  getDependents(phaseNum) {
+    const graph = getDependencyGraph();
+    const dependents = new Set();
+    const queue = [parseInt(phaseNum, 10)];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const n of PHASE_NUMBERS) {
+        if (graph[n].includes(current) && !dependents.has(n)) {
+          dependents.add(n);
+          queue.push(n);
+        }
+      }
     }
+    return PHASE_NUMBERS.filter(n => dependents.has(n));
+  }
+
+  /**
+   * Return a phase and every phase that depends on it to pending, journaling the reason.
+   * Config-skipped dependents stay skipped. Their completion checkpoints are removed.
+   * Returns the phase numbers that were reset.
+   */
+  rollback(phaseNum, reason) {
+    const target = parseInt(phaseNum, 10);
+    const rolledBack = this.update(state => {
+      if (!state.phases[target]) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      const reset = [];
+      for (const n of [target, ...this.getDependents(target)]) {
+        const phase = state.phases[n];
+        if (phase.status === 'pending' || (n !== target && phase.status === 'skipped')) continue;
+        
+        this.resetPhaseRecord(n, {
+          event: 'rollback',
+          reason: n === target ? reason : `${reason} (depends on Phase ${padPhase(target)})`,
+        });
+        reset.push(n);
+      }
+      
+      if (reset.length > 0) this.refreshOverallStatus();
+      return reset;
+    });
     
-    this.save();
-    console.log(`✅ Completed Phase ${String(phaseNum).padStart(2, '0')}: ${phase.name}`);
+    for (const n of rolledBack) {
+      this.removeCheckpoint(n);
+      console.log(`↩️  Rolled back Phase ${padPhase(n)}: ${this.state.phases[n].name} → pending`);
+    }
+    return rolledBack;
   }
 
   /**
-   * Fail a phase
+   * What undoing a phase would do: { created, modified, deleted, dependents, source }.
+   * A completed phase uses the changes recorded at completion; an unfinished one is
+   * diffed against its snapshot now. Either way only the phase's own files and the files its
+   * UPDATE steps edit (getPhaseFiles) are touched. Returns null when the phase has no snapshot.
    */
-  failPhase(phaseNum, error) {
-    const phase = this.state.phases[phaseNum];
+  getUndoPlan(phaseNum) {
+    const num = parseInt(phaseNum, 10);
+    const phase = this.state.phases[num];
     if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+    if (!this.snapshots.has(num)) return null;
     
-    phase.status = 'failed';
-    phase.error = error;
-    this.state.status = 'failed';
-    this.state.metrics.retryCount += 1;
+    const recorded = phase.status === 'completed' && phase.changes;
+    const changes = recorded ? phase.changes : this.snapshots.diff(num, this.getPhaseFiles(num, { includeUpdates: true }));
+    return {
+      created: changes.created,
+      modified: changes.modified,
+      deleted: changes.deleted,
+      dependents: this.getDependents(num).filter(n => !['pending', 'skipped'].includes(this.state.phases[n].status)),
+      source: recorded ? 'recorded at completion' : 'current workspace',
+    };
+  }
+
+  /**
+   * Undo a phase's filesystem changes: delete the files it created, restore the files it
+   * modified or deleted from the pre-phase snapshot, and return it to pending.
+   * Refuses while dependents are under way unless forced. Returns the plan it carried out.
+   */
+  undoPhase(phaseNum, { force = false, dryRun = false } = {}) {
+    const num = parseInt(phaseNum, 10);
+    const plan = this.getUndoPlan(num);
+    if (!plan) {
+      throw new Error(`No pre-phase snapshot for Phase ${padPhase(num)} (snapshots are taken by "scaffold-state.js start" and apply-phase.js)`);
+    }
+    if (plan.dependents.length > 0 && !force) {
+      const list = plan.dependents.map(n => `${padPhase(n)} (${this.state.phases[n].status})`).join(', ');
+      throw new Error(`Phases depending on Phase ${padPhase(num)} are not pending: ${list}. Roll them back first or pass --force`);
+    }
+    if (dryRun) return plan;
     
-    this.state.errors.push({
-      phase: phaseNum,
-      error: error,
-      timestamp: new Date().toISOString(),
-      attempt: phase.attempts,
+    this.update(() => {
+      for (const file of plan.created) {
+        fs.rmSync(path.join(this.workspaceRoot, file), { force: true });
+      }
+      plan.removedDirs = this.snapshots.pruneCreatedDirs(num, plan.created);
+      for (const file of [...plan.modified, ...plan.deleted]) {
+        this.snapshots.restore(num, file);
+      }
+      
+      this.resetPhaseRecord(num, {
+        event: 'undo',
+        reason: `undo-phase: deleted ${plan.created.length} created, restored ${plan.modified.length + plan.deleted.length} file(s)`,
+      });
+      delete this.state.phases[num].applied;
+      delete this.state.phases[num].changes;
+      this.refreshOverallStatus();
     });
     
-    this.save();
-    console.log(`❌ Failed Phase ${String(phaseNum).padStart(2, '0')}: ${phase.name}`);
-    console.log(`   Error: ${error}`);
+    this.snapshots.remove(num);
+    this.removeCheckpoint(num);
+    return plan;
   }
 
   /**
-   * Skip a phase
+   * Return a phase record to pending (inside update()), journaling why
    */
-  skipPhase(phaseNum, reason = 'Skipped by configuration') {
+  resetPhaseRecord(phaseNum, details) {
     const phase = this.state.phases[phaseNum];
-    if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+    this.setPhaseStatus(phaseNum, 'pending', details);
+    phase.startedAt = null;
+    phase.completedAt = null;
+    phase.error = null;
+    delete phase.lease;
+    delete phase.failure;
+    delete phase.failedAttempts;
+    delete phase.lastRepair;
+    delete phase.manifest;
+    delete this.state.metrics.phaseDurations[phaseNum];
+  }
+
+  /**
+   * Recompute the overall status after phases went back to pending (inside update())
+   */
+  refreshOverallStatus() {
+    const started = Object.values(this.state.phases).some(p => p.status !== 'pending' && p.status !== 'skipped');
+    this.state.status = started ? 'in_progress' : 'not_started';
+    this.state.completedAt = null;
+    this.state.metrics.totalDuration = null;
+  }
+
+  removeCheckpoint(phaseNum) {
+    fs.rmSync(path.join(this.workspaceRoot, '.scaffolding', `.phase-${padPhase(phaseNum)}-complete`), { force: true });
+  }
+
+  /**
+   * Minutes without a heartbeat after which an in-progress phase counts as abandoned
+   */
+  getStaleAfterMinutes() {
+    return this.state.config?.scaffoldOptions?.staleAfterMinutes ?? DEFAULT_STALE_AFTER_MINUTES;
+  }
+
+  /**
+   * Lease on an in-progress phase: { owner, heartbeatAt, idleMs, stale }, or null when
+   * the phase is not in progress. Phases started before leases existed fall back to startedAt.
+   */
+  getLease(phaseNum, now = Date.now()) {
+    const phase = this.state.phases[phaseNum];
+    if (!phase || phase.status !== 'in_progress') return null;
     
-    phase.status = 'skipped';
-    phase.error = reason;
+    const heartbeatAt = phase.lease?.heartbeatAt || phase.startedAt;
+    const idleMs = heartbeatAt ? now - new Date(heartbeatAt).getTime() : Infinity;
+    return {
+      owner: phase.lease?.owner || 'unknown',
+      heartbeatAt,
+      idleMs,
+      stale: idleMs > this.getStaleAfterMinutes() * 60 * 1000,
+    };
+  }
+
+  describeLease(lease) {
+    const age = Number.isFinite(lease.idleMs) ? `${formatAge(lease.idleMs)} ago` : 'never';
+    return `${lease.owner}, last heartbeat ${age}`;
+  }
+
+  /**
+   * In-progress phases whose lease has run out: [{ phase, name, owner, heartbeatAt, idleMs }]
+   */
+  getStalePhases() {
+    return PHASE_NUMBERS
+      .map(i => ({ phase: i, name: this.state.phases[i].name, ...this.getLease(i) }))
+      .filter(l => l.stale);
+  }
+
+  /**
+   * Renew the lease on an in-progress phase (agents call this while working)
+   */
+  heartbeat(phaseNum) {
+    return this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      if (phase.status !== 'in_progress') {
+        throw new Error(`Phase ${padPhase(phaseNum)} (${phase.name}) is ${phase.status}, not in progress`);
+      }
+      phase.lease = { owner: detectActor(), heartbeatAt: new Date().toISOString() };
+      return phase.lease;
+    });
+  }
+
+  /**
+   * Return an abandoned in-progress phase to pending so it can be started again.
+   * Refuses a phase whose lease is still live unless forced.
+   */
+  reclaimPhase(phaseNum, { force = false } = {}) {
+    return this.update(state => {
+      const phase = state.phases[phaseNum];
+      if (!phase) throw new Error(`Invalid phase: ${phaseNum}`);
+      
+      const lease = this.getLease(phaseNum);
+      if (!lease) {
+        throw new Error(`Phase ${padPhase(phaseNum)} (${phase.name}) is ${phase.status}, not in progress`);
+      }
+      if (!lease.stale && !force) {
+        throw new Error(`Phase ${padPhase(phaseNum)} (${phase.name}) is still active (${this.describeLease(lease)}); pass --force to reclaim it anyway`);
+      }
+      
+      this.setPhaseStatus(phaseNum, 'pending', {
+        event: 'reclaim',
+        reclaimedFrom: lease.owner,
+        reason: `abandoned: ${this.describeLease(lease)}`,
+      });
+      delete phase.lease;
+      return lease;
+    });
+  }
+
+  /**
+   * Prerequisites of a phase that are not satisfied yet. A skipped prerequisite only counts
+   * as satisfied for "All previous phases"; explicit dependents are skipped along with it.
+   */
+  getUnmetPrerequisites(phaseNum) {
+    const allPrevious = requiresAllPrevious(phaseNum);
+    return getPrerequisites(phaseNum)
+      .map(n => ({ phase: n, name: this.state.phases[n]?.name, status: this.state.phases[n]?.status || 'pending' }))
+      .filter(p => !(p.status === 'completed' || (allPrevious && p.status === 'skipped')));
+  }
+
+  describeUnmet(unmet) {
+    const list = unmet.map(p => `Phase ${padPhase(p.phase)} (${p.name}) is ${p.status}`).join(', ');
+    return `prerequisite${unmet.length > 1 ? 's' : ''} not completed: ${list}`;
+  }
+
+  /**
+   * Skip pending phases the config rules out, recording why.
+   * Explicit scaffoldOptions.skipPhases and feature flags (features.workers=false, ...)
+   * both apply; see getSkipReason in phase-registry.js.
+   */
+  applyConfiguredSkips() {
+    for (const i of PHASE_NUMBERS) {
+      if (this.state.phases[i].status !== 'pending') continue;
+      
+      const reason = getSkipReason(i, this.state.config);
+      if (reason) {
+        this.skipPhase(i, reason);
+      }
+    }
+  }
+
+  /**
+   * Every phase that can be executed right now: pending, failed, or abandoned in progress
+   * (stale lease), with prerequisites completed
+   */
+  getRunnablePhases() {
+    this.applyConfiguredSkips();
     
-    this.save();
-    console.log(`⏭️  Skipped Phase ${String(phaseNum).padStart(2, '0')}: ${phase.name} (${reason})`);
+    return PHASE_NUMBERS.filter(i => {
+      const phase = this.state.phases[i];
+      const reclaimable = phase.status === 'in_progress' && this.getLease(i).stale;
+      if (phase.status !== 'pending' && phase.status !== 'failed' && !reclaimable) return false;
+      return this.getUnmetPrerequisites(i).length === 0;
+    });
   }
 
   /**
-   * Get next phase to execute
+   * Pending or failed phases waiting on prerequisites, with the reason
    */
-  getNextPhase() {
-    const skipPhases = this.state.config?.scaffoldOptions?.skipPhases || [];
+  getBlockedPhases() {
+    this.applyConfiguredSkips();
     
-    for (let i = 1; i <= 11; i++) {
+    const blocked = [];
+    for (const i of PHASE_NUMBERS) {
       const phase = this.state.phases[i];
-      if (skipPhases.includes(i)) {
-        if (phase.status === 'pending') {
-          this.skipPhase(i, 'Skipped by configuration');
-        }
-        continue;
-      }
-      if (phase.status === 'pending' || phase.status === 'failed') {
-        return i;
+      if (phase.status !== 'pending' && phase.status !== 'failed') continue;
+      const unmet = this.getUnmetPrerequisites(i);
+      if (unmet.length > 0) {
+        blocked.push({ phase: i, name: phase.name, unmet, reason: this.describeUnmet(unmet) });
       }
     }
-    return null; // All done
+    return blocked;
+  }
+
+  /**
+   * Get next phase to execute
+   */
+  getNextPhase() {
+    const runnable = this.getRunnablePhases();
+    return runnable.length > 0 ? runnable[0] : null; // null: all done or blocked
   }
 
   /**
@@ -193,6 +806,35 @@ class ScaffoldState {
     const next = this.getNextPhase();
     
     if (!next) {
+      const blocked = this.getBlockedPhases();
+      const inProgress = PHASE_NUMBERS.filter(i => this.state.phases[i].status === 'in_progress');
+      // Live in-progress phases come first: the blocked phases are usually waiting on them
+      if (inProgress.length > 0) {
+        const active = inProgress.map(i => ({ phase: i, name: this.state.phases[i].name, ...this.getLease(i) }));
+        let message = `🔄 Waiting on ${active.length} phase(s) in progress:\n`;
+        message += active.map(a => `   Phase ${padPhase(a.phase)} (${a.name}): ${this.describeLease(a)}`).join('\n');
+        message += `\n   A phase with no heartbeat for ${this.getStaleAfterMinutes()} min becomes reclaimable.`;
+        if (blocked.length > 0) {
+          message += `\n   ${blocked.length} more phase(s) waiting on prerequisites.`;
+        }
+        return {
+          action: 'in_progress',
+          message,
+          inProgress: active,
+          blocked,
+          command: `Continue Masterguide/scaffolding/${getPhaseFile(active[0].phase)} (renew the lease: scaffold-state.js heartbeat ${active[0].phase})`,
+        };
+      }
+      if (blocked.length > 0) {
+        let message = `⏸️  No phase can start yet. ${blocked.length} phase(s) waiting on prerequisites:\n`;
+        message += blocked.map(b => `   Phase ${padPhase(b.phase)} (${b.name}): ${b.reason}`).join('\n');
+        return {
+          action: 'blocked',
+          message,
+          blocked,
+          command: 'node Masterguide/scaffolding/scripts/scaffold-state.js runnable',
+        };
+      }
       return {
         action: 'complete',
         message: '🎉 All phases complete! Run smoke-test.js to validate.',
@@ -201,16 +843,48 @@ class ScaffoldState {
     }
     
     const phase = this.state.phases[next];
-    const phaseFile = `${String(next).padStart(2, '0')}-${phase.name}.md`;
+    const phaseFile = getPhaseFile(next);
+    
+    const lease = this.getLease(next);
+    const budget = this.getAttemptBudget(next);
+    const repair = phase.lastRepair || null;
+    
+    if (phase.status === 'failed' && budget.exhausted) {
+      const exhausted = this.getExhaustedPhases();
+      let message = `🛑 Phase ${next} (${phase.name}) NEEDS HUMAN: failed ${budget.failed} times (budget ${budget.maxAttempts}).\n`;
+      message += `   Last error: ${phase.error}\n`;
+      message += `   Category: ${describeFailure(phase.failure)}`;
+      if (repair) message += `\n   Repaired since: ${this.describeRepair(repair)}`;
+      return {
+        action: 'needs_human',
+        phase: next,
+        phaseName: phase.name,
+        phaseFile,
+        message,
+        failure: phase.failure || null,
+        budget,
+        repair,
+        command: `node Masterguide/scaffolding/scripts/scaffold-state.js rollback ${next} "<what was fixed>"`,
+        alsoRunnable: this.getRunnablePhases().filter(i => i !== next && !exhausted.includes(i)),
+      };
+    }
     
     let message = '';
-    if (phase.status === 'failed') {
+    if (lease) {
+      message = `⚠️  Phase ${next} (${phase.name}) was abandoned in progress (${this.describeLease(lease)}). Reclaiming...\n`;
+      message += `   Some of its artifacts may already exist — verify before recreating them.\n`;
+      message += `   Attempt: ${phase.attempts + 1}`;
+    } else if (phase.status === 'failed') {
       message = `⚠️  Phase ${next} (${phase.name}) previously failed. Retrying...\n`;
       message += `   Previous error: ${phase.error}\n`;
-      message += `   Attempt: ${phase.attempts + 1}`;
+      if (phase.failure) message += `   Category: ${describeFailure(phase.failure)}\n`;
+      message += `   Attempt: ${phase.attempts + 1} (${budget.remaining} of ${budget.maxAttempts} failed attempts left)`;
     } else {
       message = `▶️  Ready to execute Phase ${next}: ${phase.name}`;
     }
+    if (repair) {
+      message += `\n   Repaired since: ${this.describeRepair(repair)} — re-run verification first`;
+    }
     
     return {
       action: 'execute',
@@ -220,7 +894,12 @@ class ScaffoldState {
       message: message,
       command: `Execute the instructions in Masterguide/scaffolding/${phaseFile}`,
       previouslyFailed: phase.status === 'failed',
+      failure: phase.status === 'failed' ? phase.failure || null : null,
+      budget,
+      stale: lease,
+      repair,
       attempt: phase.attempts + 1,
+      alsoRunnable: this.getRunnablePhases().filter(i => i !== next),
     };
   }
 
@@ -233,11 +912,12 @@ class ScaffoldState {
     const skipped = Object.values(this.state.phases).filter(p => p.status === 'skipped').length;
     const pending = Object.values(this.state.phases).filter(p => p.status === 'pending').length;
     const inProgress = Object.values(this.state.phases).filter(p => p.status === 'in_progress').length;
+    const total = PHASE_NUMBERS.length - skipped;
     
     return {
       status: this.state.status,
-      progress: `${completed}/${11 - skipped}`,
-      progressPercent: Math.round((completed / (11 - skipped)) * 100),
+      progress: `${completed}/${total}`,
+      progressPercent: total > 0 ? Math.round((completed / total) * 100) : 100,
       completed,
       failed,
       skipped,
@@ -254,9 +934,10 @@ class ScaffoldState {
    * Reset state (for fresh start)
    */
   reset() {
-    if (fs.existsSync(this.statePath)) {
-      fs.unlinkSync(this.statePath);
-    }
+    this.store.lock.withLock(() => {
+      this.store.remove();
+      this.journal.append([{ event: 'reset', phase: null }]);
+    });
     this.state = null;
     console.log('🔄 Scaffold state reset');
   }
@@ -274,10 +955,77 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const command = args[0];
   
-  const state = new ScaffoldState().init();
+  if (command === 'validate-config') {
+    const configPath = path.resolve(args[1] || CONFIG_FILE);
+    if (!fs.existsSync(configPath)) {
+      console.error(`❌ Config not found: ${configPath}`);
+      process.exit(1);
+    }
+    try {
+      loadConfig(configPath);
+      console.log(`✅ ${configPath} is valid`);
+      process.exit(0);
+    } catch (e) {
+      if (!(e instanceof ConfigValidationError)) throw e;
+      console.error(`❌ ${configPath} is invalid (${e.errors.length} error(s)):`);
+      e.errors.forEach(err => console.error(`   ${err.path || '/'}: ${err.message}`));
+      process.exit(1);
+    }
+  }
+  
+  if (command === 'migrate') {
+    const dryRun = args.includes('--dry-run');
+    const migrator = new ScaffoldState();
+    if (!migrator.store.exists()) {
+      console.error(`❌ No ${STATE_FILE} to migrate`);
+      process.exit(1);
+    }
+    try {
+      const result = migrator.migrate({ dryRun });
+      console.log(`\n🔧 STATE MIGRATION${dryRun ? ' (dry run)' : ''}`);
+      console.log('═'.repeat(40));
+      if (result.steps.length === 0) {
+        console.log(`✅ ${STATE_FILE} is already at version ${result.from}`);
+        process.exit(0);
+      }
+      console.log(`${STATE_FILE}: ${result.from} → ${result.to}`);
+      for (const step of result.steps) {
+        console.log(`\n  ${step.from} → ${step.to}: ${step.description}`);
+        if (step.changes.length === 0) console.log('     (no changes needed)');
+        step.changes.forEach(c => console.log(`     • ${c}`));
+      }
+      console.log('');
+      if (dryRun) {
+        console.log('No changes written. Run without --dry-run to migrate.');
+      } else {
+        console.log(`✅ Migrated. Previous file kept as ${path.basename(result.backupPath)}`);
+      }
+      process.exit(0);
+    } catch (e) {
+      if (!(e instanceof StateVersionError || e instanceof StateLockError || e instanceof StateCorruptError)) throw e;
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+  }
+  
+  let state;
+  try {
+    state = new ScaffoldState().init();
+  } catch (e) {
+    if (e instanceof StateLockError || e instanceof StateCorruptError || e instanceof StateVersionError) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+    if (!(e instanceof ConfigValidationError)) throw e;
+    console.error(`❌ Cannot initialize scaffold state: ${CONFIG_FILE} is invalid`);
+    e.errors.forEach(err => console.error(`   ${err.path || '/'}: ${err.message}`));
+    console.error(`\nFix the config, then check it with: node scaffold-state.js validate-config`);
+    process.exit(1);
+  }
   
   switch (command) {
     case 'status':
+      state.applyConfiguredSkips();
       const summary = state.getSummary();
       console.log('\n📊 SCAFFOLD STATUS');
       console.log('═'.repeat(40));
@@ -290,7 +1038,7 @@ if (require.main === module) {
       console.log('');
       
       console.log('PHASES:');
-      for (let i = 1; i <= 11; i++) {
+      for (const i of PHASE_NUMBERS) {
         const p = state.state.phases[i];
         const icon = {
           'completed': '✅',
@@ -299,7 +1047,55 @@ if (require.main === module) {
           'in_progress': '🔄',
           'pending': '⬜',
         }[p.status];
-        console.log(`  ${icon} ${String(i).padStart(2, '0')}. ${p.name.padEnd(15)} ${p.status}`);
+        const lease = state.getLease(i);
+        let note = p.status === 'skipped' && p.error ? ` (${p.error})` : '';
+        if (p.status === 'failed') {
+          const budget = state.getAttemptBudget(i);
+          note = ` (${p.failure ? p.failure.category + ', ' : ''}${budget.failed}/${budget.maxAttempts} attempts)${budget.exhausted ? ' 🛑 NEEDS HUMAN' : ''}`;
+        }
+        if (lease) {
+          note = lease.stale ? ` ⚠️  STALE (${state.describeLease(lease)})` : ` (${state.describeLease(lease)})`;
+        }
+        if (p.lastRepair) {
+          note += ` 🔧 repaired: ${state.describeRepair(p.lastRepair)}`;
+        }
+        console.log(`  ${icon} ${padPhase(i)}. ${p.name.padEnd(15)} ${p.status}${note}`);
+      }
+      
+      const stalePhases = state.getStalePhases();
+      if (stalePhases.length > 0) {
+        console.log(`\n⚠️  ${stalePhases.length} phase(s) in progress with no heartbeat for over ${state.getStaleAfterMinutes()} min.`);
+        console.log('   Reclaim with: node scaffold-state.js start <phase>   (or: reclaim <phase>)');
+      }
+      break;
+      
+    case 'heartbeat':
+      const heartbeatNum = parseInt(args[1]);
+      if (!isValidPhase(heartbeatNum)) {
+        console.error('Usage: scaffold-state.js heartbeat <phase_number>');
+        process.exit(1);
+      }
+      try {
+        const lease = state.heartbeat(heartbeatNum);
+        console.log(`💓 Phase ${padPhase(heartbeatNum)} lease renewed (${lease.owner}, ${lease.heartbeatAt})`);
+      } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+      }
+      break;
+      
+    case 'reclaim':
+      const reclaimNum = parseInt(args[1]);
+      if (!isValidPhase(reclaimNum)) {
+        console.error('Usage: scaffold-state.js reclaim <phase_number> [--force]');
+        process.exit(1);
+      }
+      try {
+        const lease = state.reclaimPhase(reclaimNum, { force: args.includes('--force') });
+        console.log(`♻️  Phase ${padPhase(reclaimNum)} reclaimed from ${lease.owner} and returned to pending`);
+      } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
       }
       break;
       
@@ -317,31 +1113,154 @@ if (require.main === module) {
       state.reset();
       break;
       
+    case 'drift':
+      const driftPhases = args[1] ? [parseInt(args[1])] : PHASE_NUMBERS;
+      const reports = driftPhases.map(i => state.getDrift(i)).filter(Boolean);
+      console.log('\n🔎 ARTIFACT DRIFT');
+      console.log('═'.repeat(40));
+      if (reports.length === 0) {
+        console.log('No completed phases with an artifact manifest yet.');
+        break;
+      }
+      for (const r of reports) {
+        const icon = r.drifted.length === 0 ? '✅' : '⚠️';
+        console.log(`${icon} Phase ${padPhase(r.phase)}: ${r.name} (${r.entries.length - r.drifted.length}/${r.entries.length} intact, recorded ${r.recordedAt})`);
+        r.entries
+          .filter(e => e.status !== 'intact')
+          .forEach(e => console.log(`     ${DRIFT_ICONS[e.status]} ${e.path} (${e.status.replace('_', ' ')})`));
+      }
+      const driftCount = reports.reduce((n, r) => n + r.drifted.length, 0);
+      console.log('');
+      if (driftCount > 0) {
+        console.log(`⚠️  ${driftCount} artifact(s) drifted since their phase completed`);
+        process.exit(1);
+      }
+      console.log('✅ All completed phases are intact');
+      break;
+      
     case 'start':
       const phaseNum = parseInt(args[1]);
-      if (phaseNum >= 1 && phaseNum <= 11) {
-        state.startPhase(phaseNum);
+      if (isValidPhase(phaseNum)) {
+        try {
+          state.startPhase(phaseNum, { force: args.includes('--force') });
+        } catch (e) {
+          console.error(`❌ ${e.message}`);
+          console.error('   Pass --force to override.');
+          process.exit(1);
+        }
+      } else {
+        console.error('Usage: scaffold-state.js start <phase_number> [--force]');
+      }
+      break;
+      
+    case 'rollback':
+      const rollbackNum = parseInt(args[1]);
+      if (!isValidPhase(rollbackNum)) {
+        console.error('Usage: scaffold-state.js rollback <phase_number> <reason>');
+        process.exit(1);
+      }
+      const rollbackReason = args.slice(2).join(' ') || 'No reason given';
+      const rolledBack = state.rollback(rollbackNum, rollbackReason);
+      if (rolledBack.length === 0) {
+        console.log(`ℹ️  Phase ${padPhase(rollbackNum)} and its dependents are already pending`);
       } else {
-        console.error('Usage: scaffold-state.js start <phase_number>');
+        console.log(`\nReason: ${rollbackReason} (recorded in ${HISTORY_FILE})`);
+      }
+      break;
+      
+    case 'undo-phase':
+      const undoNum = parseInt(args[1]);
+      if (!isValidPhase(undoNum)) {
+        console.error('Usage: scaffold-state.js undo-phase <phase_number> [--dry-run] [--force]');
+        process.exit(1);
+      }
+      const undoDryRun = args.includes('--dry-run');
+      let plan;
+      try {
+        plan = state.undoPhase(undoNum, { force: args.includes('--force'), dryRun: undoDryRun });
+      } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+      }
+      console.log(`\n↩️  UNDO PHASE ${padPhase(undoNum)}${undoDryRun ? ' (dry run)' : ''}`);
+      console.log('═'.repeat(40));
+      console.log(`Changes ${plan.source}, snapshot in ${SNAPSHOT_DIR}`);
+      plan.created.forEach(f => console.log(`  - ${f} (delete: created by the phase)`));
+      plan.modified.forEach(f => console.log(`  ~ ${f} (restore: modified by the phase)`));
+      plan.deleted.forEach(f => console.log(`  + ${f} (restore: deleted by the phase)`));
+      (plan.removedDirs || []).forEach(d => console.log(`  - ${d}/ (empty directory removed)`));
+      if (plan.created.length + plan.modified.length + plan.deleted.length === 0) {
+        console.log('  (no file changes)');
+      }
+      console.log('');
+      console.log(undoDryRun
+        ? 'No changes made. Run without --dry-run to undo.'
+        : `✅ Phase ${padPhase(undoNum)} undone and returned to pending`);
+      break;
+      
+    case 'history':
+      const entries = args[1] ? state.journal.forPhase(args[1]) : state.journal.read();
+      console.log('\n📜 SCAFFOLD HISTORY');
+      console.log('═'.repeat(40));
+      if (entries.length === 0) {
+        console.log('  (no recorded transitions)');
+      }
+      for (const e of entries) {
+        const what = e.event === 'reset'
+          ? 'state reset'
+          : e.event === 'repair'
+          ? `Phase ${padPhase(e.phase)} repaired (${e.fixes.length} fix(es))`
+          : `Phase ${padPhase(e.phase)} ${e.from} → ${e.to}${e.attempt ? ` (attempt ${e.attempt})` : ''}`;
+        console.log(`  ${e.timestamp}  ${e.actor.padEnd(12)} ${what}`);
+        console.log(`      via: ${e.command}${e.reason ? `  reason: ${e.reason}` : ''}`);
+      }
+      break;
+      
+    case 'runnable':
+      const runnable = state.getRunnablePhases();
+      console.log('\n▶️  RUNNABLE PHASES');
+      console.log('═'.repeat(40));
+      if (runnable.length === 0) {
+        console.log('  (none)');
+      }
+      runnable.forEach(i => console.log(`  ${padPhase(i)}. ${state.state.phases[i].name}`));
+      
+      const blocked = state.getBlockedPhases();
+      if (blocked.length > 0) {
+        console.log('\n⏸️  BLOCKED PHASES');
+        console.log('═'.repeat(40));
+        blocked.forEach(b => console.log(`  ${padPhase(b.phase)}. ${b.name.padEnd(15)} ${b.reason}`));
       }
       break;
       
     case 'complete':
       const completeNum = parseInt(args[1]);
-      if (completeNum >= 1 && completeNum <= 11) {
-        state.completePhase(completeNum);
+      if (isValidPhase(completeNum)) {
+        try {
+          state.completePhase(completeNum, { force: args.includes('--force') });
+        } catch (e) {
+          console.error(`❌ ${e.message}`);
+          console.error('   Pass --force to override.');
+          process.exit(1);
+        }
       } else {
-        console.error('Usage: scaffold-state.js complete <phase_number>');
+        console.error('Usage: scaffold-state.js complete <phase_number> [--force]');
       }
       break;
       
     case 'fail':
       const failNum = parseInt(args[1]);
-      const error = args.slice(2).join(' ') || 'Unknown error';
-      if (failNum >= 1 && failNum <= 11) {
-        state.failPhase(failNum, error);
+      const categoryArg = args.find(a => a.startsWith('--category='));
+      const error = args.slice(2).filter(a => a !== categoryArg).join(' ') || 'Unknown error';
+      const category = categoryArg && categoryArg.split('=')[1];
+      if (category && !FAILURE_CATEGORIES[category]) {
+        console.error(`❌ Unknown failure category "${category}" (expected: ${Object.keys(FAILURE_CATEGORIES).join(', ')})`);
+        process.exit(1);
+      }
+      if (isValidPhase(failNum)) {
+        state.failPhase(failNum, error, { category });
       } else {
-        console.error('Usage: scaffold-state.js fail <phase_number> <error_message>');
+        console.error('Usage: scaffold-state.js fail <phase_number> <error_message> [--category=<category>]');
       }
       break;
       
@@ -353,21 +1272,39 @@ Usage:
   node scaffold-state.js <command> [args]
 
 Commands:
-  status              Show current scaffold status
-  resume              Get instructions for next phase
-  reset               Reset all state (fresh start)
-  start <phase>       Mark phase as started
-  complete <phase>    Mark phase as completed
-  fail <phase> <msg>  Mark phase as failed with error
+  status                  Show current scaffold status
+  resume                  Get instructions for next phase
+  reset                   Reset all state (fresh start)
+  runnable                List phases whose prerequisites are complete
+  drift [phase]           Report artifacts deleted, modified or never created since completion
+  validate-config [path]  Validate scaffold-config.json against the schema
+  migrate [--dry-run]     Upgrade scaffold-state.json to the current version (--dry-run previews)
+  start <phase>           Mark phase as started (--force ignores prerequisites and live leases)
+  heartbeat <phase>       Renew the lease on an in-progress phase
+  reclaim <phase>         Return an abandoned (stale) in-progress phase to pending
+  complete <phase>        Mark phase as completed (--force ignores prerequisites)
+  fail <phase> <msg>      Mark phase as failed with error (classified automatically,
+                          --category=<name> overrides)
+  rollback <phase> <why>  Return a phase and its dependents to pending
+  undo-phase <phase>      Delete the files a phase created, restore those it modified
+                          (--dry-run previews, --force ignores started dependents)
+  history [phase]         Show the transition journal (scaffold-history.jsonl)
 
 Examples:
   node scaffold-state.js status
   node scaffold-state.js resume
+  node scaffold-state.js runnable
+  node scaffold-state.js drift
+  node scaffold-state.js validate-config
+  node scaffold-state.js migrate --dry-run
   node scaffold-state.js start 3
   node scaffold-state.js complete 3
   node scaffold-state.js fail 3 "Import error in types.ts"
+  node scaffold-state.js rollback 4 "Schema needs a tenants table"
+  node scaffold-state.js history 4
+  node scaffold-state.js undo-phase 5 --dry-run
 `);
   }
 }
 
-module.exports = { ScaffoldState, DEFAULT_STATE };
+module.exports = { ScaffoldState, DEFAULT_STATE, DEFAULT_STALE_AFTER_MINUTES, DEFAULT_MAX_ATTEMPTS, formatAge };
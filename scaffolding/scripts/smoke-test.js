@@ -3,48 +3,118 @@
  * 
  * End-to-end validation that the entire scaffolded system works together.
  * This is the final gate before declaring scaffolding complete.
+ *
+ * The runtime stage starts the FastAPI backend on a free local port with placeholder
+ * settings (no network access or external services), probes its health route and
+ * middleware headers, and shuts it down again.
+ *
+ * Usage: node smoke-test.js [--format text|json|junit]
  */
 
 const fs = require('fs');
+const http = require('http');
+const net = require('net');
 const path = require('path');
 const { execSync, spawn } = require('child_process');
+const { parseFormatArg, routeLogsToStderr, toJUnitXml } = require('./report-format');
+const { findPython } = require('./compile-checks');
+const { loadConfig, ConfigValidationError } = require('./config-validator');
+const { auditRls, getSkipReason: getRlsSkipReason, formatIssue } = require('./rls-audit');
+const errorParity = require('./error-parity');
+
+const BACKEND_DIR = 'packages/backend';
+
+// Settings the backend needs to start. Placeholders only: nothing is contacted at startup,
+// and optional services (Redis, Stripe, SendGrid) stay disabled.
+const RUNTIME_ENV = {
+  ENV: 'test',
+  SUPABASE_URL: 'http://127.0.0.1:54321',
+  SUPABASE_SERVICE_ROLE_KEY: 'smoke-test-service-role-key',
+  JWT_SECRET: 'smoke-test-jwt-secret-0123456789abcdef',
+  REDIS_ENABLED: 'false',
+};
+const RUNTIME_UNSET = ['REDIS_URL', 'STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'SENDGRID_API_KEY'];
+
+const STARTUP_TIMEOUT_MS = 30000;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Headers the phase 12 SecurityMiddleware and phase 09 RequestLoggingMiddleware add
+const SECURITY_HEADERS = ['x-content-type-options', 'x-frame-options'];
+const OBSERVABILITY_HEADERS = ['x-request-id'];
 
 class SmokeTest {
   constructor(workspaceRoot = process.cwd()) {
     this.workspaceRoot = workspaceRoot;
+    const configPath = path.join(workspaceRoot, 'scaffold-config.json');
+    this.config = fs.existsSync(configPath) ? loadConfig(configPath) : null;
     this.results = [];
+    this.suite = null;
+    this.startedAt = null;
+    this.durationMs = 0;
     this.passed = 0;
     this.failed = 0;
     this.skipped = 0;
+    this.backend = null; // { process, port, output, exited } while the runtime stage runs
   }
 
   log(icon, message) {
     console.log(`${icon} ${message}`);
   }
 
+  /**
+   * Print a section header; following tests are grouped under it
+   */
+  section(header) {
+    console.log(header);
+    console.log('─'.repeat(40));
+    this.suite = header.replace(/^[^A-Za-z]+/, '');
+  }
+
+  /**
+   * Run one test and record { name, suite, status, durationMs, error?, stderr?, reason? } in this.results
+   */
   async runTest(name, testFn, options = {}) {
     const { skip = false, skipReason = '' } = options;
+    const suite = this.suite;
     
     if (skip) {
       this.log('⏭️', `SKIP: ${name} (${skipReason})`);
-      this.results.push({ name, status: 'skipped', reason: skipReason });
+      this.results.push({ name, suite, status: 'skipped', durationMs: 0, reason: skipReason });
       this.skipped++;
       return;
     }
     
+    const start = Date.now();
     try {
       await testFn();
       this.log('✅', `PASS: ${name}`);
-      this.results.push({ name, status: 'passed' });
+      this.results.push({ name, suite, status: 'passed', durationMs: Date.now() - start });
       this.passed++;
     } catch (error) {
       this.log('❌', `FAIL: ${name}`);
       this.log('  ', `Error: ${error.message}`);
-      this.results.push({ name, status: 'failed', error: error.message });
+      this.results.push({
+        name,
+        suite,
+        status: 'failed',
+        durationMs: Date.now() - start,
+        error: error.message,
+        ...(error.stderr ? { stderr: error.stderr } : {}),
+      });
       this.failed++;
     }
   }
 
+  /**
+   * Error for a failed exec() that carries the command's stderr into the results
+   */
+  commandError(message, result) {
+    const error = new Error(message);
+    error.stderr = result.stderr || '';
+    return error;
+  }
+
   exec(command, options = {}) {
     const { cwd = this.workspaceRoot, silent = true } = options;
     try {
@@ -55,7 +125,12 @@ class SmokeTest {
       });
       return { success: true, output: result };
     } catch (error) {
-      return { success: false, error: error.message, output: error.stdout };
+      return {
+        success: false,
+        error: error.message,
+        output: error.stdout,
+        stderr: error.stderr ? error.stderr.toString() : '',
+      };
     }
   }
 
@@ -68,7 +143,162 @@ class SmokeTest {
     return fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory();
   }
 
+  readFile(relativePath) {
+    return this.fileExists(relativePath) ? fs.readFileSync(path.join(this.workspaceRoot, relativePath), 'utf-8') : null;
+  }
+
+  /**
+   * Why the runtime stage cannot run, or null when it can
+   */
+  getRuntimeSkipReason() {
+    if (!this.fileExists(`${BACKEND_DIR}/src/main.py`)) return 'No packages/backend/src/main.py';
+    this.python = this.python || findPython();
+    if (!this.python) return 'python3 not found';
+    const result = this.exec(`${this.python} -c "import fastapi, uvicorn"`, { cwd: path.join(this.workspaceRoot, BACKEND_DIR) });
+    if (!result.success) return 'fastapi/uvicorn not installed (pip install -e packages/backend)';
+    return null;
+  }
+
+  /**
+   * A TCP port nobody listens on right now
+   */
+  findFreePort() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.unref();
+      server.on('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+      });
+    });
+  }
+
+  /**
+   * GET a path on the running backend: { status, headers, body }
+   */
+  httpGet(urlPath) {
+    return new Promise((resolve, reject) => {
+      const request = http.get({ host: '127.0.0.1', port: this.backend.port, path: urlPath, timeout: REQUEST_TIMEOUT_MS }, (response) => {
+        let body = '';
+        response.setEncoding('utf-8');
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+      });
+      request.on('timeout', () => request.destroy(new Error(`GET ${urlPath} timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Start uvicorn on src.main:app and wait until it answers HTTP requests
+   */
+  async startBackend() {
+    const port = await this.findFreePort();
+    const env = { ...process.env, ...RUNTIME_ENV, PYTHONUNBUFFERED: '1' };
+    RUNTIME_UNSET.forEach(name => delete env[name]);
+
+    const child = spawn(this.python, ['-m', 'uvicorn', 'src.main:app', '--host', '127.0.0.1', '--port', String(port)], {
+      cwd: path.join(this.workspaceRoot, BACKEND_DIR),
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const backend = { process: child, port, output: '', exited: null };
+    const collect = chunk => { backend.output += chunk.toString(); };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    backend.exit = new Promise(resolve => child.on('exit', (code, signal) => {
+      backend.exited = { code, signal };
+      resolve(backend.exited);
+    }));
+    this.backend = backend;
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline && !backend.exited) {
+      try {
+        await this.httpGet('/');
+        return;
+      } catch (e) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+      }
+    }
+
+    const message = backend.exited
+      ? `Backend exited during startup (code ${backend.exited.code})`
+      : `Backend did not answer on port ${port} within ${STARTUP_TIMEOUT_MS / 1000}s`;
+    await this.stopBackend();
+    throw this.commandError(message, { stderr: backend.output });
+  }
+
+  /**
+   * Stop the backend (SIGTERM, then SIGKILL after a grace period). Returns how it exited.
+   */
+  async stopBackend() {
+    const backend = this.backend;
+    if (!backend) return null;
+    this.backend = null;
+    if (backend.exited) return { ...backend.exited, forced: false, output: backend.output };
+
+    backend.process.kill('SIGTERM');
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), SHUTDOWN_TIMEOUT_MS).unref());
+    const exited = await Promise.race([backend.exit, timeout]);
+    if (exited) return { ...exited, forced: false, output: backend.output };
+
+    backend.process.kill('SIGKILL');
+    return { ...(await backend.exit), forced: true, output: backend.output };
+  }
+
+  /**
+   * URL of the health route in api/routes/health.py, including the api_router prefix
+   */
+  getHealthPath() {
+    const router = this.readFile(`${BACKEND_DIR}/src/api/router.py`) || '';
+    const routes = this.readFile(`${BACKEND_DIR}/src/api/routes/health.py`) || '';
+    const prefix = router.match(/APIRouter\(\s*prefix\s*=\s*["']([^"']*)["']/)?.[1] || '';
+    const includePrefix = router.match(/include_router\(\s*health\.router\b[^)]*?prefix\s*=\s*["']([^"']*)["']/)?.[1] || '';
+    const route = routes.match(/@router\.get\(\s*["']([^"']+)["']/)?.[1] || '/health';
+    return `${prefix}${includePrefix}${route}`;
+  }
+
+  /**
+   * Keys of the success envelope built by success_response() in api/responses.py, e.g. ["success", "data"]
+   */
+  getSuccessEnvelope() {
+    const responses = this.readFile(`${BACKEND_DIR}/src/api/responses.py`) || '';
+    const body = responses.match(/def success_response\([\s\S]*?\{([^}]*)\}/);
+    return body ? [...body[1].matchAll(/["'](\w+)["']\s*:/g)].map(m => m[1]) : null;
+  }
+
+  /**
+   * Check a health response: the success envelope when the route uses one, then status and version
+   */
+  checkHealthBody(body) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (e) {
+      throw new Error(`Health response is not JSON: ${body.slice(0, 200)}`);
+    }
+
+    const envelope = this.getSuccessEnvelope();
+    if (envelope && 'success' in payload) {
+      const missing = envelope.filter(key => !(key in payload));
+      if (missing.length > 0) throw new Error(`Response envelope lacks ${missing.join(', ')} (see success_response() in api/responses.py)`);
+      if (payload.success !== true) throw new Error(`Response envelope has success=${payload.success}`);
+      payload = payload.data;
+    }
+
+    if (!payload || !['healthy', 'degraded'].includes(payload.status)) {
+      throw new Error(`Expected status "healthy" or "degraded", got ${JSON.stringify(payload?.status)}`);
+    }
+    if (typeof payload.version !== 'string') {
+      throw new Error('Health response has no version');
+    }
+  }
+
   async run() {
+    const start = Date.now();
+    this.startedAt = new Date(start).toISOString();
     console.log('');
     console.log('═'.repeat(60));
     console.log('🧪 SCAFFOLD SMOKE TEST');
@@ -78,8 +308,7 @@ class SmokeTest {
     // ============================================
     // STRUCTURE TESTS
     // ============================================
-    console.log('📁 Structure Tests');
-    console.log('─'.repeat(40));
+    this.section('📁 Structure Tests');
 
     await this.runTest('Monorepo root exists', () => {
       if (!this.fileExists('turbo.json')) throw new Error('turbo.json not found');
@@ -108,8 +337,7 @@ class SmokeTest {
     // ============================================
     // CONFIGURATION TESTS
     // ============================================
-    console.log('⚙️  Configuration Tests');
-    console.log('─'.repeat(40));
+    this.section('⚙️  Configuration Tests');
 
     await this.runTest('Environment config exists', () => {
       const hasWebEnv = this.fileExists('apps/web/lib/env.ts') || 
@@ -128,8 +356,7 @@ class SmokeTest {
     // ============================================
     // DATABASE TESTS
     // ============================================
-    console.log('🗄️  Database Tests');
-    console.log('─'.repeat(40));
+    this.section('🗄️  Database Tests');
 
     await this.runTest('Supabase migrations exist', () => {
       if (!this.dirExists('supabase/migrations')) throw new Error('supabase/migrations not found');
@@ -144,13 +371,25 @@ class SmokeTest {
       if (!hasServer) throw new Error('Supabase server.ts not found');
     });
 
+    const rlsSkipReason = getRlsSkipReason(this.config)
+      || (this.dirExists('supabase/migrations') ? null : 'No supabase/migrations');
+    await this.runTest('Exposed tables have RLS and policies', () => {
+      const report = auditRls(this.workspaceRoot);
+      if (!report.passed) {
+        const issues = report.issues.map(formatIssue);
+        throw this.commandError(
+          `${issues.length} RLS issue(s) in supabase/migrations:\n${issues.map(i => `     - ${i}`).join('\n')}`,
+          { stderr: issues.join('\n') },
+        );
+      }
+    }, { skip: Boolean(rlsSkipReason), skipReason: rlsSkipReason });
+
     console.log('');
 
     // ============================================
     // AUTH TESTS
     // ============================================
-    console.log('🔐 Auth Tests');
-    console.log('─'.repeat(40));
+    this.section('🔐 Auth Tests');
 
     await this.runTest('Frontend auth module exists', () => {
       if (!this.dirExists('apps/web/lib/auth')) throw new Error('apps/web/lib/auth not found');
@@ -165,8 +404,7 @@ class SmokeTest {
     // ============================================
     // API TESTS
     // ============================================
-    console.log('🌐 API Tests');
-    console.log('─'.repeat(40));
+    this.section('🌐 API Tests');
 
     await this.runTest('Backend API module exists', () => {
       if (!this.dirExists('packages/backend/src/api')) throw new Error('packages/backend/src/api not found');
@@ -178,13 +416,24 @@ class SmokeTest {
       if (!hasJobsRoute && !hasHealthRoute) throw new Error('No API routes found');
     });
 
+    const errorParitySkipReason = errorParity.getSkipReason(this.workspaceRoot);
+    await this.runTest('Error codes match between frontend and backend', () => {
+      const report = errorParity.checkErrorParity(this.workspaceRoot);
+      if (!report.passed) {
+        const issues = report.issues.map(errorParity.formatIssue);
+        throw this.commandError(
+          `${issues.length} error code mismatch(es):\n${issues.map(i => `     - ${i}`).join('\n')}`,
+          { stderr: issues.join('\n') },
+        );
+      }
+    }, { skip: Boolean(errorParitySkipReason), skipReason: errorParitySkipReason });
+
     console.log('');
 
     // ============================================
     // RESILIENCE TESTS
     // ============================================
-    console.log('🛡️  Resilience Tests');
-    console.log('─'.repeat(40));
+    this.section('🛡️  Resilience Tests');
 
     await this.runTest('Resilience module exists', () => {
       if (!this.dirExists('packages/backend/src/resilience')) {
@@ -197,8 +446,7 @@ class SmokeTest {
     // ============================================
     // JOBS TESTS
     // ============================================
-    console.log('⚡ Jobs Tests');
-    console.log('─'.repeat(40));
+    this.section('⚡ Jobs Tests');
 
     await this.runTest('Jobs module exists', () => {
       if (!this.dirExists('packages/backend/src/jobs')) {
@@ -211,8 +459,7 @@ class SmokeTest {
     // ============================================
     // FRONTEND TESTS
     // ============================================
-    console.log('🎨 Frontend Tests');
-    console.log('─'.repeat(40));
+    this.section('🎨 Frontend Tests');
 
     await this.runTest('UI components exist', () => {
       if (!this.dirExists('apps/web/components/ui')) {
@@ -231,26 +478,25 @@ class SmokeTest {
     // ============================================
     // BUILD TESTS
     // ============================================
-    console.log('🔨 Build Tests');
-    console.log('─'.repeat(40));
+    this.section('🔨 Build Tests');
 
     await this.runTest('pnpm install succeeds', () => {
       const result = this.exec('pnpm install --frozen-lockfile', { silent: true });
       // Allow fresh install too
       if (!result.success) {
         const freshResult = this.exec('pnpm install', { silent: true });
-        if (!freshResult.success) throw new Error('pnpm install failed');
+        if (!freshResult.success) throw this.commandError('pnpm install failed', freshResult);
       }
     }, { skip: !this.fileExists('pnpm-lock.yaml'), skipReason: 'No lockfile yet' });
 
     await this.runTest('TypeScript compiles', () => {
       const result = this.exec('pnpm exec tsc --noEmit', { cwd: path.join(this.workspaceRoot, 'apps/web') });
-      if (!result.success) throw new Error('TypeScript compilation failed');
+      if (!result.success) throw this.commandError('TypeScript compilation failed', result);
     }, { skip: !this.fileExists('apps/web/tsconfig.json'), skipReason: 'No tsconfig' });
 
     await this.runTest('ESLint passes', () => {
       const result = this.exec('pnpm lint', { cwd: path.join(this.workspaceRoot, 'apps/web') });
-      if (!result.success) throw new Error('ESLint failed');
+      if (!result.success) throw this.commandError('ESLint failed', result);
     }, { skip: !this.fileExists('apps/web/.eslintrc.json') && !this.fileExists('apps/web/eslint.config.js'), skipReason: 'No ESLint config' });
 
     await this.runTest('Python imports work', () => {
@@ -266,14 +512,65 @@ except ImportError as e:
     sys.exit(1)
 `;
       const result = this.exec(`python -c "${testScript.replace(/\n/g, '; ').replace(/"/g, '\\"')}"`, { silent: true });
-      if (!result.success) throw new Error('Python imports failed');
+      if (!result.success) throw this.commandError('Python imports failed', result);
     }, { skip: !this.fileExists('packages/backend/src/config.py'), skipReason: 'No Python config' });
 
     console.log('');
 
+    // ============================================
+    // RUNTIME TESTS
+    // ============================================
+    this.section('🚀 Runtime Tests');
+
+    const runtimeSkipReason = this.getRuntimeSkipReason();
+    let health = null;
+    try {
+      await this.runTest('Backend starts and answers requests', () => this.startBackend(),
+        { skip: Boolean(runtimeSkipReason), skipReason: runtimeSkipReason });
+
+      const notRunning = { skip: !this.backend, skipReason: runtimeSkipReason || 'Backend did not start' };
+      const healthPath = this.getHealthPath();
+
+      await this.runTest(`Health route responds (GET ${healthPath})`, async () => {
+        health = await this.httpGet(healthPath);
+        if (health.status === 404) {
+          throw new Error(`${healthPath} returned 404 — include api_router in main.py: app.include_router(api_router)`);
+        }
+        if (health.status !== 200) throw new Error(`${healthPath} returned HTTP ${health.status}: ${health.body.slice(0, 200)}`);
+        this.checkHealthBody(health.body);
+      }, notRunning);
+
+      const noResponse = { skip: !health, skipReason: notRunning.skipReason };
+      await this.runTest('Security headers present', () => {
+        const missing = SECURITY_HEADERS.filter(h => !(h in health.headers));
+        if (missing.length > 0) throw new Error(`Missing ${missing.join(', ')} — add app.add_middleware(SecurityMiddleware) to main.py (Phase 12)`);
+      }, this.fileExists(`${BACKEND_DIR}/src/security/middleware.py`) ? noResponse : { skip: true, skipReason: 'No security middleware' });
+
+      await this.runTest('Observability headers present', () => {
+        const missing = OBSERVABILITY_HEADERS.filter(h => !(h in health.headers));
+        if (missing.length > 0) throw new Error(`Missing ${missing.join(', ')} — add app.add_middleware(RequestLoggingMiddleware) to main.py (Phase 09)`);
+      }, this.fileExists(`${BACKEND_DIR}/src/observability/middleware.py`) ? noResponse : { skip: true, skipReason: 'No observability middleware' });
+
+      await this.runTest('Backend shuts down cleanly', async () => {
+        const stopped = await this.stopBackend();
+        if (stopped.forced) {
+          throw this.commandError(`Backend ignored SIGTERM for ${SHUTDOWN_TIMEOUT_MS / 1000}s and was killed`, { stderr: stopped.output });
+        }
+        if (stopped.code !== 0 && stopped.signal !== 'SIGTERM') {
+          throw this.commandError(`Backend exited with code ${stopped.code} on shutdown`, { stderr: stopped.output });
+        }
+      }, notRunning);
+    } finally {
+      // Never leave the server running, whatever failed above
+      await this.stopBackend();
+    }
+
+    console.log('');
+
     // ============================================
     // RESULTS
     // ============================================
+    this.durationMs = Date.now() - start;
     console.log('═'.repeat(60));
     console.log('📊 RESULTS');
     console.log('═'.repeat(60));
@@ -305,12 +602,69 @@ except ImportError as e:
       return false;
     }
   }
+
+  /**
+   * Summary plus every recorded result (the --format json output)
+   */
+  getReport() {
+    return {
+      startedAt: this.startedAt,
+      durationMs: this.durationMs,
+      success: this.failed === 0,
+      passed: this.passed,
+      failed: this.failed,
+      skipped: this.skipped,
+      results: this.results,
+    };
+  }
+
+  /**
+   * this.results grouped by section, as JUnit suites
+   */
+  toJUnitSuites() {
+    const suites = new Map();
+    for (const r of this.results) {
+      const name = r.suite || 'Smoke Test';
+      if (!suites.has(name)) suites.set(name, { name, cases: [] });
+      suites.get(name).cases.push({
+        name: r.name,
+        status: r.status,
+        durationMs: r.durationMs,
+        message: r.error || r.reason,
+        stderr: r.stderr,
+      });
+    }
+    return [...suites.values()];
+  }
 }
 
 // CLI
 if (require.main === module) {
-  const test = new SmokeTest();
+  let format;
+  try {
+    ({ format } = parseFormatArg(process.argv.slice(2)));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (format !== 'text') {
+    routeLogsToStderr();
+  }
+
+  let test;
+  try {
+    test = new SmokeTest();
+  } catch (e) {
+    if (!(e instanceof ConfigValidationError)) throw e;
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
   test.run().then(success => {
+    if (format === 'json') {
+      process.stdout.write(JSON.stringify(test.getReport(), null, 2) + '\n');
+    } else if (format === 'junit') {
+      process.stdout.write(toJUnitXml('smoke-test', test.toJUnitSuites(), test.startedAt));
+    }
     process.exit(success ? 0 : 1);
   });
 }
@@ -0,0 +1,82 @@
+/**
+ * State Journal
+ *
+ * Append-only record of every phase transition in scaffold-history.jsonl
+ * (one JSON object per line), so who started what, when and how often can be
+ * reconstructed after scaffold-state.json has been overwritten.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HISTORY_FILE = 'scaffold-history.jsonl';
+
+/**
+ * Who is acting: SCAFFOLD_ACTOR (e.g. "agent:claude", "ci") or the OS user
+ */
+function detectActor() {
+  if (process.env.SCAFFOLD_ACTOR) return process.env.SCAFFOLD_ACTOR;
+  try {
+    return os.userInfo().username;
+  } catch (e) {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+/**
+ * The command line that caused the transition, e.g. "verify-phase.js 05"
+ */
+function detectCommand() {
+  const script = process.argv[1] ? path.basename(process.argv[1]) : 'node';
+  return [script, ...process.argv.slice(2)].join(' ');
+}
+
+class StateJournal {
+  constructor(workspaceRoot = process.cwd()) {
+    this.historyPath = path.join(workspaceRoot, HISTORY_FILE);
+  }
+
+  /**
+   * Append entries. Each gets timestamp, actor, command and pid unless already set.
+   */
+  append(entries) {
+    if (entries.length === 0) return;
+    const context = { timestamp: new Date().toISOString(), actor: detectActor(), command: detectCommand(), pid: process.pid };
+    const lines = entries.map(e => JSON.stringify({ ...context, ...e })).join('\n') + '\n';
+    fs.appendFileSync(this.historyPath, lines);
+  }
+
+  /**
+   * All entries in order. Unparseable lines (e.g. a torn final write) are skipped.
+   */
+  read() {
+    if (!fs.existsSync(this.historyPath)) return [];
+    return fs.readFileSync(this.historyPath, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Entries for one phase
+   */
+  forPhase(phaseNum) {
+    const num = parseInt(phaseNum, 10);
+    return this.read().filter(e => e.phase === num);
+  }
+}
+
+module.exports = {
+  HISTORY_FILE,
+  StateJournal,
+  detectActor,
+  detectCommand,
+};
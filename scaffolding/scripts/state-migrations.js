@@ -0,0 +1,126 @@
+/**
+ * State Migrations
+ *
+ * Upgrades scaffold-state.json files written by older versions of these scripts.
+ * Each migration moves the state from one `version` to the next and returns a
+ * description of every change, so `scaffold-state.js migrate --dry-run` can preview them.
+ * Adding a migration: append an entry below and bump CURRENT_VERSION to its `to`.
+ */
+
+const { PHASES, padPhase } = require('./phase-registry');
+
+const CURRENT_VERSION = '1.1.0';
+
+// Files written before versioning was enforced carry no version (or the original one)
+const INITIAL_VERSION = '1.0.0';
+
+class StateVersionError extends Error {
+  constructor(statePath, version) {
+    super(
+      `${statePath} was written by newer scaffolding scripts (state version ${version}, ` +
+      `these scripts understand up to ${CURRENT_VERSION}). Update Masterguide/scaffolding before resuming.`
+    );
+    this.name = 'StateVersionError';
+    this.statePath = statePath;
+    this.version = version;
+  }
+}
+
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'Phase registry: phases 12-15, phase titles, metrics defaults',
+    migrate(state) {
+      const changes = [];
+      state.phases = state.phases || {};
+
+      for (const p of PHASES) {
+        const record = state.phases[p.num];
+        if (!record) {
+          state.phases[p.num] = { status: 'pending', name: p.name, title: p.title, startedAt: null, completedAt: null, error: null, attempts: 0 };
+          changes.push(`add phases.${p.num} (Phase ${padPhase(p.num)} ${p.name}, pending)`);
+        } else if (!record.title) {
+          record.title = p.title;
+          changes.push(`set phases.${p.num}.title = "${p.title}"`);
+        }
+      }
+
+      if (!Array.isArray(state.errors)) {
+        state.errors = [];
+        changes.push('set errors = []');
+      }
+      state.metrics = state.metrics || {};
+      for (const [key, value] of Object.entries({ totalDuration: null, phaseDurations: {}, retryCount: 0 })) {
+        if (state.metrics[key] === undefined) {
+          state.metrics[key] = value;
+          changes.push(`set metrics.${key} = ${JSON.stringify(value)}`);
+        }
+      }
+      return changes;
+    },
+  },
+];
+
+/**
+ * Compare dotted versions numerically: -1, 0 or 1
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff < 0 ? -1 : 1;
+  }
+  return 0;
+}
+
+function stateVersion(state) {
+  return state.version || INITIAL_VERSION;
+}
+
+function needsMigration(state) {
+  return compareVersions(stateVersion(state), CURRENT_VERSION) < 0;
+}
+
+/**
+ * Throws StateVersionError for state written by a newer version
+ */
+function assertSupportedVersion(state, statePath) {
+  if (compareVersions(stateVersion(state), CURRENT_VERSION) > 0) {
+    throw new StateVersionError(statePath, stateVersion(state));
+  }
+}
+
+/**
+ * Migrate a state object in place to CURRENT_VERSION.
+ * Returns the steps applied: [{ from, to, description, changes: [string] }].
+ */
+function migrateState(state, statePath = 'scaffold-state.json') {
+  assertSupportedVersion(state, statePath);
+
+  const steps = [];
+  let version = stateVersion(state);
+  while (compareVersions(version, CURRENT_VERSION) < 0) {
+    const migration = MIGRATIONS.find(m => m.from === version);
+    if (!migration) {
+      throw new Error(`No migration from state version ${version} (${statePath})`);
+    }
+    const changes = migration.migrate(state);
+    state.version = migration.to;
+    steps.push({ from: migration.from, to: migration.to, description: migration.description, changes });
+    version = migration.to;
+  }
+  return steps;
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  MIGRATIONS,
+  StateVersionError,
+  compareVersions,
+  stateVersion,
+  needsMigration,
+  assertSupportedVersion,
+  migrateState,
+};
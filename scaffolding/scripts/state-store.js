@@ -0,0 +1,290 @@
+/**
+ * State Store
+ *
+ * Crash- and concurrency-safe persistence for scaffold-state.json:
+ *   - atomic writes (temp file + fsync + rename), so a killed process never leaves half a file
+ *   - an advisory lock file (<state>.lock) with stale-lock detection
+ *   - a copy of the last good state (<state>.bak) used to recover from a corrupt file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+class StateLockError extends Error {
+  constructor(lockPath, holder) {
+    const who = holder ? ` (held by pid ${holder.pid} on ${holder.host} since ${holder.acquiredAt})` : '';
+    super(`Timed out waiting for state lock ${lockPath}${who}`);
+    this.name = 'StateLockError';
+    this.lockPath = lockPath;
+    this.holder = holder;
+  }
+}
+
+class StateCorruptError extends Error {
+  constructor(statePath, cause) {
+    super(`${statePath} is corrupt and no usable backup exists (${cause.message})`);
+    this.name = 'StateCorruptError';
+    this.statePath = statePath;
+    this.cause = cause;
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file so readers see either the old or the new content, never a partial one
+ */
+function writeFileAtomic(filePath, data) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
+
+function tryParse(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function tryReadText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse a JSON file, or return null if it is missing or unparseable
+ */
+function tryReadJson(filePath) {
+  const text = tryReadText(filePath);
+  return text !== null && tryParse(text) ? JSON.parse(text) : null;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM'; // exists, owned by someone else
+  }
+}
+
+/**
+ * Why an existing lock can be broken, or null if its holder may still be working.
+ * A holder on this host is trusted for as long as its pid is alive, however slow it is;
+ * the age limit only applies when the pid cannot be checked (another host).
+ */
+function staleReason(holder, staleMs) {
+  if (!holder) return 'unreadable lock file';
+  if (holder.host === os.hostname() && Number.isInteger(holder.pid)) {
+    return isProcessAlive(holder.pid) ? null : `pid ${holder.pid} is no longer running`;
+  }
+  const age = Date.now() - new Date(holder.acquiredAt).getTime();
+  if (!(age < staleMs)) return `held for ${Math.round(age / 1000)}s`;
+  return null;
+}
+
+/**
+ * Advisory lock for a file. Re-entrant within a process: nested acquire() calls
+ * only release the lock on the outermost release().
+ */
+class FileLock {
+  constructor(targetPath, options = {}) {
+    this.lockPath = `${targetPath}.lock`;
+    this.timeoutMs = options.timeoutMs ?? LOCK_TIMEOUT_MS;
+    this.staleMs = options.staleMs ?? LOCK_STALE_MS;
+    this.depth = 0;
+  }
+
+  acquire() {
+    if (this.depth > 0) {
+      this.depth++;
+      return;
+    }
+
+    const deadline = Date.now() + this.timeoutMs;
+    const record = JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() });
+
+    for (;;) {
+      if (this.tryCreate(record)) {
+        this.depth = 1;
+        return;
+      }
+
+      const text = tryReadText(this.lockPath);
+      if (text === null) continue; // released between our attempt and the read
+
+      const holder = tryParse(text) ? JSON.parse(text) : null;
+      const reason = staleReason(holder, this.staleMs);
+      if (reason) {
+        console.error(`⚠️  Breaking stale state lock ${path.basename(this.lockPath)} (${reason})`);
+        this.breakLock(text);
+        continue;
+      }
+
+      if (Date.now() >= deadline) throw new StateLockError(this.lockPath, holder);
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Create the lock file with its full content in one step (link fails if it exists),
+   * so other processes never see an empty lock
+   */
+  tryCreate(record) {
+    const tmpPath = `${this.lockPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, record);
+    try {
+      fs.linkSync(tmpPath, this.lockPath);
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      return false;
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  }
+
+  /**
+   * Remove a stale lock, unless another process replaced it after we read it
+   */
+  breakLock(staleText) {
+    const claimed = `${this.lockPath}.${process.pid}.stale`;
+    try {
+      fs.renameSync(this.lockPath, claimed);
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+    if (tryReadText(claimed) !== staleText) {
+      // We grabbed a fresh lock: hand it back (fails harmlessly if the path was retaken)
+      try {
+        fs.linkSync(claimed, this.lockPath);
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+    }
+    fs.rmSync(claimed, { force: true });
+  }
+
+  release() {
+    if (this.depth === 0) return;
+    this.depth--;
+    if (this.depth === 0) {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Run fn while holding the lock
+   */
+  withLock(fn) {
+    this.acquire();
+    try {
+      return fn();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+/**
+ * A JSON document on disk, written atomically under a lock, with a last-good backup
+ */
+class JsonStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    this.lock = new FileLock(filePath, options);
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Read the document. A corrupt file is moved aside and replaced with the backup;
+   * throws StateCorruptError when there is no usable backup. Call under the lock.
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (e) {
+      if (!(e instanceof SyntaxError)) throw e;
+
+      const backup = tryReadJson(this.backupPath);
+      if (!backup) throw new StateCorruptError(this.filePath, e);
+
+      const quarantine = `${this.filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      fs.renameSync(this.filePath, quarantine);
+      writeFileAtomic(this.filePath, JSON.stringify(backup, null, 2));
+      console.error(`⚠️  ${path.basename(this.filePath)} was corrupt (${e.message})`);
+      console.error(`   Restored the last good backup; the corrupt file was kept as ${path.basename(quarantine)}`);
+      return backup;
+    }
+  }
+
+  /**
+   * Write the document atomically, keeping the current (valid) file as the backup.
+   * Call under the lock.
+   */
+  write(value) {
+    const current = fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath, 'utf-8') : null;
+    if (current !== null && tryParse(current)) {
+      writeFileAtomic(this.backupPath, current);
+    }
+    writeFileAtomic(this.filePath, JSON.stringify(value, null, 2));
+  }
+
+  /**
+   * Copy the current file to <file>.<label>.bak (e.g. before a migration). Returns the copy's path.
+   * Call under the lock.
+   */
+  snapshot(label) {
+    const snapshotPath = `${this.filePath}.${label}.bak`;
+    writeFileAtomic(snapshotPath, fs.readFileSync(this.filePath, 'utf-8'));
+    return snapshotPath;
+  }
+
+  /**
+   * Remove the document and its backup. Call under the lock.
+   */
+  remove() {
+    fs.rmSync(this.filePath, { force: true });
+    fs.rmSync(this.backupPath, { force: true });
+  }
+}
+
+module.exports = {
+  StateLockError,
+  StateCorruptError,
+  FileLock,
+  JsonStore,
+  writeFileAtomic,
+};
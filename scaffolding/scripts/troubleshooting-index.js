@@ -0,0 +1,174 @@
+/**
+ * Troubleshooting Index
+ *
+ * Indexes TROUBLESHOOTING.md by its `### ` headings (grouped under `## Phase XX Issues`
+ * and `## General Issues`) and finds the entry that matches a phase's recorded
+ * error, so resume instructions can inline the specific fix.
+ *
+ * Matching, best first:
+ *   1. exact      the heading's quoted message appears in the error ("ERR_PNPM_OUTDATED_LOCKFILE")
+ *   2. template   the message matches with its quoted names as wildcards, and is the same
+ *                 kind of failure ("Cannot find module 'zod'" matches "Cannot find module 'jose'")
+ *   3. keywords   most of the heading's words appear in the error or its classification
+ *                 ("Python exceptions.py syntax error")
+ * Entries for the failed phase win ties over other phases and General Issues.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SCAFFOLDING_DIR } = require('./phase-registry');
+const { classifyFailure, describeFailure } = require('./failure-classifier');
+
+const TROUBLESHOOTING_FILE = path.join(SCAFFOLDING_DIR, 'TROUBLESHOOTING.md');
+
+const MATCH_SCORES = { exact: 3, template: 2, keywords: 1 };
+
+// Share of a heading's keywords that must appear in the error for a keyword match
+const KEYWORD_THRESHOLD = 0.75;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'on', 'in', 'to', 'for', 'and', 'or', 'not', 'no', 'is', 'error', 'errors', 'issue', 'issues']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The error messages a heading quotes: `"a" / "b"` → ["a", "b"]; unquoted headings quote none
+ */
+function quotedMessages(heading) {
+  if (!heading.startsWith('"')) return [];
+  return heading
+    .split(/"\s*\/\s*"/)
+    .map(part => part.replace(/^"|"$/g, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Regex for a quoted message with its quoted names and placeholders (XX, N) as wildcards
+ */
+function messageTemplate(message) {
+  const pattern = message
+    .split(/('[^']*'|\bXX\b|\bN\b)/)
+    .map((part, i) => {
+      if (i % 2 === 0) return escapeRegExp(part);
+      return part.startsWith("'") ? "'[^']+'" : '\\S+';
+    })
+    .join('');
+  return new RegExp(pattern, 'i');
+}
+
+function keywords(text) {
+  return (text.toLowerCase().match(/[a-z0-9_.@/-]+/g) || [])
+    .map(word => word.replace(/^[.]+|[.]+$/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Parse the document into entries: [{ phase, section, heading, messages, body }].
+ * phase is the number from "## Phase XX Issues", or null for other sections.
+ */
+function parseTroubleshooting(markdown) {
+  const entries = [];
+  let section = null;
+  let phase = null;
+  let current = null;
+  let inFence = false;
+
+  const finish = () => {
+    if (!current) return;
+    current.body = current.lines.join('\n').replace(/\n-{3,}\s*$/, '').trim();
+    delete current.lines;
+    entries.push(current);
+    current = null;
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (line.startsWith('```')) inFence = !inFence;
+    if (!inFence && line.startsWith('## ')) {
+      finish();
+      section = line.slice(3).trim();
+      const match = section.match(/^Phase (\d+) Issues/);
+      phase = match ? parseInt(match[1], 10) : null;
+    } else if (!inFence && line.startsWith('### ')) {
+      finish();
+      const heading = line.slice(4).trim();
+      current = { phase, section, heading, messages: quotedMessages(heading), lines: [] };
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  finish();
+  return entries;
+}
+
+/**
+ * How well an entry matches a failure: { how, score } or null
+ */
+function matchEntry(entry, errorText, failure) {
+  const text = errorText.toLowerCase();
+  for (const message of entry.messages) {
+    if (text.includes(message.toLowerCase())) return { how: 'exact', score: MATCH_SCORES.exact };
+  }
+  for (const message of entry.messages) {
+    // The same wording can mean different things ("Cannot find module" for a package or a project file)
+    const sameKind = !failure || classifyFailure(message).category === failure.category;
+    if (sameKind && messageTemplate(message).test(errorText)) return { how: 'template', score: MATCH_SCORES.template };
+  }
+
+  // Unquoted headings describe the problem: compare words with the error and its classification
+  if (entry.messages.length === 0) {
+    const wanted = keywords(entry.heading);
+    const available = new Set(keywords(`${errorText} ${failure ? describeFailure(failure) : ''}`));
+    const found = wanted.filter(word => available.has(word) || [...available].some(a => a.endsWith(`/${word}`)));
+    if (wanted.length > 0 && found.length / wanted.length >= KEYWORD_THRESHOLD) {
+      return { how: 'keywords', score: MATCH_SCORES.keywords * (found.length / wanted.length) };
+    }
+  }
+  return null;
+}
+
+class TroubleshootingIndex {
+  constructor(filePath = TROUBLESHOOTING_FILE) {
+    this.filePath = filePath;
+    this.entries = fs.existsSync(filePath) ? parseTroubleshooting(fs.readFileSync(filePath, 'utf-8')) : [];
+  }
+
+  /**
+   * Best entry for an error recorded on a phase:
+   * { phase, section, heading, body, how } or null when nothing matches
+   */
+  match(errorText, { phase = null, failure = null } = {}) {
+    if (!errorText) return null;
+
+    let best = null;
+    for (const entry of this.entries) {
+      const result = matchEntry(entry, String(errorText), failure);
+      if (!result) continue;
+
+      // Same phase beats General Issues beats another phase
+      const locality = entry.phase === phase ? 0.2 : entry.phase === null ? 0.1 : 0;
+      const score = result.score + locality;
+      if (!best || score > best.score) {
+        best = { score, how: result.how, entry };
+      }
+    }
+    if (!best) return null;
+
+    const { phase: entryPhase, section, heading, body } = best.entry;
+    return { phase: entryPhase, section, heading, body, how: best.how };
+  }
+
+  /**
+   * Matching entry for a failed phase in scaffold state, or null
+   */
+  matchPhase(phaseNum, phaseRecord) {
+    if (!phaseRecord || phaseRecord.status !== 'failed') return null;
+    return this.match(phaseRecord.error, { phase: parseInt(phaseNum, 10), failure: phaseRecord.failure });
+  }
+}
+
+module.exports = {
+  TROUBLESHOOTING_FILE,
+  TroubleshootingIndex,
+  parseTroubleshooting,
+};
@@ -0,0 +1,136 @@
+/**
+ * Unified Diff
+ *
+ * Line-based unified diffs (as printed by `diff -u` / `git diff`) with no dependencies.
+ * Used to show how a workspace file differs from its canonical phase-document content.
+ */
+
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Edit script between two line arrays: [{ op: ' ' | '-' | '+', line }]
+ * (longest common subsequence, after trimming the common prefix and suffix)
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      ops.push({ op: ' ', line: midA[i++] });
+      j++;
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      ops.push({ op: '-', line: midA[i++] });
+    } else {
+      ops.push({ op: '+', line: midB[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: midA[i++] });
+  while (j < m) ops.push({ op: '+', line: midB[j++] });
+  a.slice(endA).forEach(line => ops.push({ op: ' ', line }));
+  return ops;
+}
+
+/**
+ * Group an edit script into hunks with `context` unchanged lines around each change
+ */
+function toHunks(ops, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailing = 0;
+
+  ops.forEach((entry, index) => {
+    if (entry.op !== ' ') {
+      if (!current) {
+        const lead = [];
+        for (let k = index - 1; k >= 0 && lead.length < context && ops[k].op === ' '; k--) lead.unshift(ops[k]);
+        current = { oldStart: oldLine - lead.length, newStart: newLine - lead.length, lines: [...lead] };
+        hunks.push(current);
+      }
+      current.lines.push(entry);
+      trailing = 0;
+    } else if (current) {
+      // Keep the hunk open while the next change is within 2 * context lines
+      const nextChange = ops.findIndex((e, k) => k > index && e.op !== ' ');
+      if (trailing < context || (nextChange !== -1 && nextChange - index <= context)) {
+        current.lines.push(entry);
+        trailing++;
+      } else {
+        current = null;
+      }
+    }
+    if (entry.op !== '+') oldLine++;
+    if (entry.op !== '-') newLine++;
+  });
+
+  return hunks.map(h => ({
+    ...h,
+    oldCount: h.lines.filter(l => l.op !== '+').length,
+    newCount: h.lines.filter(l => l.op !== '-').length,
+  }));
+}
+
+function range(start, count) {
+  // An empty side starts one line earlier, as in `diff -u`
+  const from = count === 0 ? start - 1 : start;
+  return count === 1 ? `${from}` : `${from},${count}`;
+}
+
+/**
+ * Unified diff from oldText to newText, or '' when they are equal.
+ * null/undefined oldText means the file does not exist yet (diffed against /dev/null).
+ */
+function unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = CONTEXT_LINES } = {}) {
+  if (oldText === newText) return '';
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = toHunks(ops, context);
+  if (hunks.length === 0) return '';
+
+  const output = [
+    `--- ${oldText === null || oldText === undefined ? '/dev/null' : oldLabel}`,
+    `+++ ${newText === null || newText === undefined ? '/dev/null' : newLabel}`,
+  ];
+  for (const hunk of hunks) {
+    output.push(`@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@`);
+    hunk.lines.forEach(l => output.push(`${l.op}${l.line}`));
+  }
+  return output.join('\n');
+}
+
+module.exports = {
+  unifiedDiff,
+  diffLines,
+};
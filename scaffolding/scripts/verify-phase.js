@@ -3,185 +3,62 @@
 /**
  * Phase Verification Script
  * 
- * Usage: node verify-phase.js <phase-number>
+ * Usage: node verify-phase.js <phase-number> [--format text|json|junit]
  * Example: node verify-phase.js 01
+ *          node verify-phase.js --all --format junit > verify.xml
  * 
- * Checks that all expected files exist and basic validation passes.
+ * Checks that all expected files exist, hold the content the phase promised,
+ * compile (Python byte-compile, TypeScript type-check), pass the phase's audits (e.g. RLS
+ * coverage of the migrations), and that basic validation passes.
  * Returns exit code 0 on success, 1 on failure.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { PHASES: REGISTRY, padPhase, getExpectedFiles, getSkipReason, getContentAssertions } = require('./phase-registry');
+const { loadConfig, ConfigValidationError } = require('./config-validator');
+const { buildManifest, formatCheckpoint } = require('./artifact-manifest');
+const { checkContent } = require('./content-assertions');
+const { checkCompilation, formatDiagnostic } = require('./compile-checks');
+const rlsAudit = require('./rls-audit');
+const migrationOrder = require('./migration-order');
+const errorParity = require('./error-parity');
+const { parseFormatArg, routeLogsToStderr, toJUnitXml } = require('./report-format');
 
-const PHASES = {
-  '01': {
-    name: 'Workspace Setup',
-    files: [
-      'package.json',
-      'pnpm-workspace.yaml',
-      'turbo.json',
-      'tsconfig.base.json',
-      '.gitignore',
-      '.env.example',
-      'apps/web/package.json',
-      'apps/web/tsconfig.json',
-      'apps/web/next.config.js',
-      'apps/web/tailwind.config.js',
-      'apps/web/app/layout.tsx',
-      'apps/web/app/page.tsx',
-      'apps/web/app/globals.css',
-      'packages/types/package.json',
-      'packages/types/tsconfig.json',
-      'packages/types/src/index.ts',
-      'packages/types/src/common.ts',
-      'packages/backend/pyproject.toml',
-      'packages/backend/src/__init__.py',
-      'packages/backend/src/main.py',
-      'packages/backend/Dockerfile',
-      'supabase/config.toml',
-      'README.md',
-    ],
-    commands: [
-      { cmd: 'node -e "require(\'./package.json\')"', name: 'package.json valid JSON' },
-    ],
-  },
-  '02': {
-    name: 'Environment Configuration',
-    files: [
-      'apps/web/lib/env.ts',
-      'packages/backend/src/config.py',
-    ],
-    commands: [
-      { cmd: 'node -e "require(\'zod\')"', name: 'zod installed', cwd: 'apps/web' },
-    ],
-  },
-  '03': {
-    name: 'Shared Types & Exceptions',
-    files: [
-      'packages/types/src/errors.ts',
-      'packages/types/src/auth.ts',
-      'packages/types/src/jobs.ts',
-      'packages/types/src/api.ts',
-      'packages/backend/src/exceptions.py',
-      'packages/backend/src/exception_handlers.py',
-    ],
-    commands: [],
-  },
-  '04': {
-    name: 'Database Foundation',
-    files: [
-      'supabase/migrations/00001_initial_schema.sql',
-      'supabase/migrations/00002_rls_policies.sql',
-      'supabase/seed.sql',
-      'apps/web/lib/supabase/client.ts',
-      'apps/web/lib/supabase/server.ts',
-      'apps/web/lib/supabase/admin.ts',
-      'apps/web/lib/supabase/middleware.ts',
-      'apps/web/middleware.ts',
-      'packages/backend/src/database.py',
-    ],
-    commands: [],
-  },
-  '05': {
-    name: 'Authentication Infrastructure',
-    files: [
-      'apps/web/lib/auth/context.tsx',
-      'apps/web/lib/auth/hooks.ts',
-      'apps/web/lib/auth/server.ts',
-      'apps/web/app/api/auth/callback/route.ts',
-      'packages/backend/src/auth/__init__.py',
-      'packages/backend/src/auth/jwt.py',
-      'packages/backend/src/auth/dependencies.py',
-      'packages/backend/src/auth/middleware.py',
-      'packages/backend/src/auth/entitlements.py',
-    ],
-    commands: [],
-  },
-  '06': {
-    name: 'Resilience Patterns',
-    files: [
-      'packages/backend/src/resilience/__init__.py',
-      'packages/backend/src/resilience/circuit_breaker.py',
-      'packages/backend/src/resilience/retry.py',
-      'packages/backend/src/resilience/distributed_lock.py',
-      'packages/backend/src/resilience/shutdown.py',
-      'apps/web/lib/resilience/retry.ts',
-    ],
-    commands: [],
-  },
-  '07': {
-    name: 'Job Processing System',
-    files: [
-      'packages/backend/src/jobs/__init__.py',
-      'packages/backend/src/jobs/models.py',
-      'packages/backend/src/jobs/service.py',
-      'packages/backend/src/jobs/queue.py',
-      'packages/backend/src/jobs/worker.py',
-      'apps/web/lib/jobs/client.ts',
-    ],
-    commands: [],
-  },
-  '08': {
-    name: 'API Foundation',
-    files: [
-      'packages/backend/src/api/__init__.py',
-      'packages/backend/src/api/router.py',
-      'packages/backend/src/api/routes/__init__.py',
-      'packages/backend/src/api/routes/health.py',
-      'packages/backend/src/api/routes/jobs.py',
-      'packages/backend/src/api/routes/users.py',
-      'packages/backend/src/api/middleware.py',
-      'packages/backend/src/api/responses.py',
-      'apps/web/app/api/jobs/route.ts',
-      'apps/web/app/api/jobs/[jobId]/route.ts',
-      'apps/web/app/api/health/route.ts',
-    ],
-    commands: [],
-  },
-  '09': {
-    name: 'Observability',
-    files: [
-      'packages/backend/src/observability/__init__.py',
-      'packages/backend/src/observability/logging.py',
-      'packages/backend/src/observability/middleware.py',
-      'packages/backend/src/observability/metrics.py',
-      'packages/backend/src/observability/health.py',
-      'apps/web/lib/observability/logger.ts',
-    ],
-    commands: [],
-  },
-  '10': {
-    name: 'Third-Party Integrations',
-    files: [
-      'packages/backend/src/integrations/__init__.py',
-      'packages/backend/src/integrations/stripe_service.py',
-      'packages/backend/src/integrations/email_service.py',
-      'packages/backend/src/integrations/webhook_handler.py',
-      'apps/web/app/api/webhooks/stripe/route.ts',
-    ],
-    commands: [],
-  },
-  '11': {
-    name: 'Frontend Foundation',
-    files: [
-      'apps/web/lib/design-tokens/tokens.ts',
-      'apps/web/lib/design-tokens/index.ts',
-      'apps/web/components/ui/button.tsx',
-      'apps/web/components/ui/input.tsx',
-      'apps/web/components/ui/card.tsx',
-      'apps/web/components/ui/index.ts',
-      'apps/web/lib/utils.ts',
-      'apps/web/components/providers/index.tsx',
-      'apps/web/lib/api/client.ts',
-      'apps/web/public/manifest.json',
-    ],
-    commands: [
-      { cmd: 'node -e "require(\'clsx\')"', name: 'clsx installed', cwd: 'apps/web' },
-      { cmd: 'node -e "require(\'tailwind-merge\')"', name: 'tailwind-merge installed', cwd: 'apps/web' },
-    ],
-  },
-};
+// scaffold-config.json trims what each phase is expected to produce
+function loadWorkspaceConfig() {
+  const configPath = path.resolve(process.cwd(), 'scaffold-config.json');
+  if (!fs.existsSync(configPath)) return null;
+  try {
+    return loadConfig(configPath);
+  } catch (e) {
+    if (!(e instanceof ConfigValidationError)) throw e;
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+const CONFIG = loadWorkspaceConfig();
+
+// Zero-padded phase ids in registry order (object key order would put "10" before "01")
+const PHASE_IDS = REGISTRY.map(p => padPhase(p.num));
+
+// Verification expectations keyed by zero-padded phase id ("01"), built from the registry
+const PHASES = Object.fromEntries(
+  REGISTRY.map(p => {
+    const { files, omitted } = getExpectedFiles(p.num, CONFIG);
+    return [padPhase(p.num), {
+      name: p.title,
+      files,
+      omitted,
+      assertions: getContentAssertions(p.num, CONFIG),
+      commands: p.commands,
+      audits: p.audits || [],
+      skipReason: getSkipReason(p.num, CONFIG),
+    }];
+  })
+);
 
 function checkFile(filePath) {
   const fullPath = path.resolve(process.cwd(), filePath);
@@ -189,165 +66,478 @@ function checkFile(filePath) {
 }
 
 function runCommand(cmd, cwd = '.') {
+  const start = Date.now();
   try {
     execSync(cmd, { cwd: path.resolve(process.cwd(), cwd), stdio: 'pipe' });
-    return { success: true };
+    return { success: true, durationMs: Date.now() - start };
   } catch (error) {
-    return { success: false, error: error.message };
+    return {
+      success: false,
+      durationMs: Date.now() - start,
+      error: error.message.split('\n')[0], // "Command failed: <cmd>"; the output is in stderr
+      stderr: error.stderr ? error.stderr.toString() : '',
+    };
+  }
+}
+
+// Whole-workspace audits a registry entry can name. Each returns
+// { name, passed, skipped?, issues: [{ file, line?, message }], suggestions? }.
+const AUDITS = {
+  rls: () => {
+    const name = 'RLS coverage of supabase/migrations';
+    const skipped = rlsAudit.getSkipReason(CONFIG);
+    if (skipped) return { name, passed: true, skipped, issues: [] };
+    const report = rlsAudit.auditRls(process.cwd());
+    return { name, passed: report.passed, issues: report.issues };
+  },
+  migrations: () => {
+    const name = 'Naming and order of supabase/migrations';
+    const provider = CONFIG?.database?.provider;
+    if (provider && provider !== 'supabase') return { name, passed: true, skipped: `database.provider=${provider}`, issues: [] };
+    const report = migrationOrder.auditMigrationOrder(process.cwd());
+    const suggestions = report.renames.map(r => `rename ${r.from} → ${r.to}`);
+    return { name, passed: report.passed, issues: report.issues, suggestions };
+  },
+  'error-codes': () => {
+    const name = 'Error codes match between errors.ts and exceptions.py';
+    const skipped = errorParity.getSkipReason(process.cwd());
+    if (skipped) return { name, passed: true, skipped, issues: [] };
+    const report = errorParity.checkErrorParity(process.cwd());
+    return { name, passed: report.passed, issues: report.issues };
+  },
+};
+
+function formatAuditIssue(issue) {
+  return `${[issue.file, issue.line].filter(Boolean).join(':')} ${issue.message}`;
+}
+
+function runAudit(key) {
+  const start = Date.now();
+  return { ...AUDITS[key](), durationMs: Date.now() - start };
+}
+
+/**
+ * Check a phase's files and their contents (no commands, no side effects).
+ * Returns { phase, name, skipReason, files, omitted, content }.
+ */
+function inspectPhase(phaseNum) {
+  const phase = PHASES[phaseNum];
+  const result = { phase: phaseNum, name: phase.name, skipReason: phase.skipReason, files: [], omitted: phase.omitted, content: [] };
+  if (phase.skipReason) return result;
+
+  result.files = phase.files.map(file => {
+    const start = Date.now();
+    const present = checkFile(file);
+    return { path: file, status: present ? 'present' : 'missing', durationMs: Date.now() - start };
+  });
+  result.content = checkContent(process.cwd(), phase.files, phase.assertions);
+  return result;
+}
+
+/**
+ * Full verification of one phase: files, contents, compilation, audits and commands.
+ * Returns the inspectPhase() structure plus { compile, audits, commands, passed, durationMs }.
+ */
+function verifyPhase(phaseNum) {
+  const start = Date.now();
+  const result = { ...inspectPhase(phaseNum), compile: [], audits: [], commands: [] };
+
+  if (!result.skipReason) {
+    result.compile = checkCompilation(process.cwd(), PHASES[phaseNum].files);
+    result.audits = PHASES[phaseNum].audits.map(runAudit);
+    result.commands = PHASES[phaseNum].commands.map(({ cmd, name, cwd }) => {
+      const run = runCommand(cmd, cwd);
+      return {
+        name,
+        cmd,
+        cwd: cwd || '.',
+        passed: run.success,
+        durationMs: run.durationMs,
+        ...(run.success ? {} : { error: run.error, stderr: run.stderr }),
+      };
+    });
   }
+
+  result.passed = Boolean(result.skipReason) || (
+    result.files.every(f => f.status === 'present') &&
+    result.content.every(c => c.passed) &&
+    result.compile.every(c => c.passed) &&
+    result.audits.every(a => a.passed) &&
+    result.commands.every(c => c.passed)
+  );
+  result.durationMs = Date.now() - start;
+  return result;
+}
+
+/**
+ * JUnit suites for a verified (or inspected) phase: files, content, compile, audits and commands
+ */
+function toSuites(result) {
+  const suite = `Phase ${result.phase}: ${result.name}`;
+  if (result.skipReason) {
+    return [{ name: suite, cases: [{ name: 'phase', status: 'skipped', message: result.skipReason, durationMs: 0 }] }];
+  }
+
+  const suites = [{
+    name: `${suite} / files`,
+    cases: [
+      ...result.files.map(f => ({
+        name: f.path,
+        status: f.status === 'present' ? 'passed' : 'failed',
+        message: f.status === 'missing' ? 'file is missing' : undefined,
+        durationMs: f.durationMs,
+      })),
+      ...result.omitted.map(o => ({ name: o.path, status: 'skipped', message: `not expected: ${o.reason}`, durationMs: 0 })),
+    ],
+  }, {
+    name: `${suite} / content`,
+    cases: result.content.map(c => ({
+      name: `${c.file}: ${c.expectation}`,
+      classname: c.file,
+      status: c.passed ? 'passed' : 'failed',
+      message: c.passed ? undefined : `expected it ${c.expectation}${c.detail ? ` (${c.detail})` : ''}`,
+      durationMs: c.durationMs,
+    })),
+  }];
+
+  if (result.compile) {
+    suites.push({
+      name: `${suite} / compile`,
+      cases: result.compile.map(c => ({
+        name: c.name,
+        status: c.skipped ? 'skipped' : c.passed ? 'passed' : 'failed',
+        message: c.skipped || (c.passed ? undefined : `${c.diagnostics.length} error(s)`),
+        stderr: c.diagnostics.map(formatDiagnostic).join('\n') || undefined,
+        durationMs: c.durationMs,
+      })),
+    });
+  }
+
+  if (result.audits) {
+    suites.push({
+      name: `${suite} / audits`,
+      cases: result.audits.map(a => ({
+        name: a.name,
+        status: a.skipped ? 'skipped' : a.passed ? 'passed' : 'failed',
+        message: a.skipped || (a.passed ? undefined : `${a.issues.length} issue(s)`),
+        stderr: a.issues.map(formatAuditIssue).join('\n') || undefined,
+        durationMs: a.durationMs,
+      })),
+    });
+  }
+
+  if (result.commands) {
+    suites.push({
+      name: `${suite} / commands`,
+      cases: result.commands.map(c => ({
+        name: c.name,
+        status: c.passed ? 'passed' : 'failed',
+        message: c.error,
+        stderr: c.stderr,
+        durationMs: c.durationMs,
+      })),
+    });
+  }
+  return suites;
 }
 
 function checkAllPhases() {
-  console.log('\n🔍 Checking all phases...\n');
-  
   const results = [];
   
-  for (const [num, phase] of Object.entries(PHASES)) {
+  for (const num of PHASE_IDS) {
+    const inspected = inspectPhase(num);
+    if (inspected.skipReason) {
+      results.push({ ...inspected, status: 'skipped' });
+      continue;
+    }
+    
     const checkpointFile = path.resolve(process.cwd(), '.scaffolding', `.phase-${num}-complete`);
     const hasCheckpoint = fs.existsSync(checkpointFile);
-    
-    // Quick file check
-    const missingFiles = phase.files.filter(f => !checkFile(f));
-    const status = missingFiles.length === 0 ? '✅' : hasCheckpoint ? '⚠️' : '❌';
+    const ok = inspected.files.every(f => f.status === 'present') && inspected.content.every(c => c.passed);
     
     results.push({
-      num,
-      name: phase.name,
-      status,
-      missing: missingFiles.length,
-      total: phase.files.length,
+      ...inspected,
+      status: ok ? 'complete' : hasCheckpoint ? 'drifted' : 'incomplete',
       hasCheckpoint,
     });
   }
   
+  return results;
+}
+
+function printAllPhases(results) {
+  const icons = { complete: '✅', drifted: '⚠️', incomplete: '❌', skipped: '⏭️' };
+
+  console.log('\n🔍 Checking all phases...\n');
   console.log('Phase Status:');
   console.log('-'.repeat(60));
   
   for (const r of results) {
+    if (r.skipReason) {
+      console.log(`${icons[r.status]}    Phase ${r.phase}: ${r.name} (skipped: ${r.skipReason})`);
+      continue;
+    }
     const checkpoint = r.hasCheckpoint ? '📍' : '  ';
-    console.log(`${r.status} ${checkpoint} Phase ${r.num}: ${r.name} (${r.total - r.missing}/${r.total} files)`);
+    const present = r.files.filter(f => f.status === 'present').length;
+    const contentIssues = r.content.filter(c => !c.passed).length;
+    const issues = contentIssues > 0 ? `, ${contentIssues} content issue(s)` : '';
+    console.log(`${icons[r.status]} ${checkpoint} Phase ${r.phase}: ${r.name} (${present}/${r.files.length} files${issues})`);
   }
   
   console.log('-'.repeat(60));
   
-  const complete = results.filter(r => r.status === '✅').length;
-  console.log(`\n${complete}/${results.length} phases complete`);
+  const complete = results.filter(r => r.status === 'complete').length;
+  const expected = results.filter(r => !r.skipReason).length;
+  console.log(`\n${complete}/${expected} phases complete`);
 }
 
 // Integration with scaffold-state.js
-function updateScaffoldState(phaseNum, passed) {
+/**
+ * Mark a passed phase complete in scaffold state. Returns the state, or null when
+ * scaffold-state.js is not available; throws when the state refuses (unmet prerequisites).
+ */
+function updateScaffoldState(phaseNum) {
+  let ScaffoldState;
   try {
-    const { ScaffoldState } = require('./scaffold-state');
-    const state = new ScaffoldState().init();
-    
-    if (passed) {
-      state.completePhase(parseInt(phaseNum));
-      console.log(`\n📊 State updated: Phase ${phaseNum} marked complete`);
-    }
-    // Don't auto-fail - let the user decide to retry
+    ({ ScaffoldState } = require('./scaffold-state'));
   } catch (e) {
-    // scaffold-state.js not available, skip state update
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    return null; // scaffold-state.js not available, skip state update
   }
+  
+  const state = new ScaffoldState().init();
+  state.completePhase(parseInt(phaseNum, 10));
+  console.log(`\n📊 State updated: Phase ${phaseNum} marked complete`);
+  return state;
 }
 
-function verifyPhaseWithState(phaseNum) {
+/**
+ * State update and checkpoint for a phase that passed.
+ * Returns { state } (state is null without scaffold-state.js), or { error } when the state refused.
+ */
+function recordPass(phaseNum) {
+  let state;
+  try {
+    state = updateScaffoldState(phaseNum);
+  } catch (e) {
+    console.error(`\n❌ Phase ${phaseNum} passed verification but was not marked complete: ${e.message}`);
+    console.error('   See what can run now: node Masterguide/scaffolding/scripts/scaffold-state.js runnable');
+    return { error: e.message };
+  }
+  
   const phase = PHASES[phaseNum];
-  if (!phase) {
-    console.error(`❌ Unknown phase: ${phaseNum}`);
-    console.log(`Available phases: ${Object.keys(PHASES).join(', ')}`);
-    process.exit(1);
+  const checkpointDir = path.resolve(process.cwd(), '.scaffolding');
+  if (!fs.existsSync(checkpointDir)) {
+    fs.mkdirSync(checkpointDir, { recursive: true });
   }
+  fs.writeFileSync(
+    path.join(checkpointDir, `.phase-${phaseNum}-complete`),
+    formatCheckpoint(buildManifest(process.cwd(), phase.files))
+  );
+  console.log(`📍 Checkpoint saved: .scaffolding/.phase-${phaseNum}-complete`);
+  return { state };
+}
+
+function printPhaseResult(result) {
+  const phaseNum = result.phase;
 
-  console.log(`\n🔍 Verifying Phase ${phaseNum}: ${phase.name}\n`);
+  console.log(`\n🔍 Verifying Phase ${phaseNum}: ${result.name}\n`);
   
-  let allPassed = true;
-  const missing = [];
-  const failed = [];
+  if (result.skipReason) {
+    console.log(`⏭️  Phase ${phaseNum} is skipped by configuration (${result.skipReason})`);
+    console.log('   Nothing to verify.');
+    return;
+  }
 
-  // Check files
+  // Files
   console.log('📁 Checking files...');
-  for (const file of phase.files) {
-    if (checkFile(file)) {
-      console.log(`   ✅ ${file}`);
+  for (const file of result.files) {
+    if (file.status === 'present') {
+      console.log(`   ✅ ${file.path}`);
     } else {
-      console.log(`   ❌ ${file} (MISSING)`);
-      missing.push(file);
-      allPassed = false;
+      console.log(`   ❌ ${file.path} (MISSING)`);
     }
   }
+  for (const { path: file, reason } of result.omitted) {
+    console.log(`   ⏭️  ${file} (not expected: ${reason})`);
+  }
 
-  // Run commands
-  if (phase.commands.length > 0) {
-    console.log('\n⚙️  Running checks...');
-    for (const { cmd, name, cwd } of phase.commands) {
-      const result = runCommand(cmd, cwd);
-      if (result.success) {
-        console.log(`   ✅ ${name}`);
+  // Contents of the files that exist
+  const contentFailures = result.content.filter(c => !c.passed);
+  console.log('\n🔎 Checking contents...');
+  if (contentFailures.length === 0) {
+    console.log(`   ✅ ${result.content.length} assertion(s) passed`);
+  } else {
+    for (const r of contentFailures) {
+      console.log(`   ❌ ${r.file}: ${r.expectation}${r.detail ? ` (${r.detail})` : ''}`);
+    }
+  }
+
+  // Compilation of the files that exist
+  if (result.compile.length > 0) {
+    console.log('\n🧩 Compiling...');
+    for (const c of result.compile) {
+      if (c.skipped) {
+        console.log(`   ⏭️  ${c.name} (skipped: ${c.skipped})`);
+      } else if (c.passed) {
+        console.log(`   ✅ ${c.name}`);
+      } else {
+        console.log(`   ❌ ${c.name} (${c.diagnostics.length} error(s))`);
+        c.diagnostics.forEach(d => console.log(`      ${formatDiagnostic(d)}`));
+      }
+    }
+  }
+
+  // Whole-workspace audits
+  if (result.audits.length > 0) {
+    console.log('\n🛡️  Auditing...');
+    for (const a of result.audits) {
+      if (a.skipped) {
+        console.log(`   ⏭️  ${a.name} (skipped: ${a.skipped})`);
+      } else if (a.passed) {
+        console.log(`   ✅ ${a.name}`);
       } else {
-        console.log(`   ❌ ${name} (FAILED)`);
-        failed.push({ name, error: result.error });
-        allPassed = false;
+        console.log(`   ❌ ${a.name} (${a.issues.length} issue(s))`);
+        a.issues.forEach(i => console.log(`      ${formatAuditIssue(i)}`));
+        (a.suggestions || []).forEach(s => console.log(`      💡 ${s}`));
       }
     }
   }
 
+  // Commands
+  if (result.commands.length > 0) {
+    console.log('\n⚙️  Running checks...');
+    for (const { name, passed } of result.commands) {
+      console.log(passed ? `   ✅ ${name}` : `   ❌ ${name} (FAILED)`);
+    }
+  }
+
   // Summary
   console.log('\n' + '='.repeat(50));
-  if (allPassed) {
+  if (result.passed) {
     console.log(`✅ Phase ${phaseNum} PASSED`);
-    
-    // Create checkpoint file
-    const checkpointDir = path.resolve(process.cwd(), '.scaffolding');
-    if (!fs.existsSync(checkpointDir)) {
-      fs.mkdirSync(checkpointDir, { recursive: true });
-    }
-    fs.writeFileSync(
-      path.join(checkpointDir, `.phase-${phaseNum}-complete`),
-      `Completed: ${new Date().toISOString()}\n`
-    );
-    console.log(`📍 Checkpoint saved: .scaffolding/.phase-${phaseNum}-complete`);
-    
-    // Update scaffold state
-    updateScaffoldState(phaseNum, true);
-    
-    // Show next step
-    const nextPhase = String(parseInt(phaseNum) + 1).padStart(2, '0');
-    if (PHASES[nextPhase]) {
-      console.log(`\n▶️  Next: Phase ${nextPhase} (${PHASES[nextPhase].name})`);
-    } else {
-      console.log(`\n🎉 All phases complete! Run smoke test:`);
-      console.log(`   node Masterguide/scaffolding/scripts/smoke-test.js`);
+    return;
+  }
+
+  console.log(`❌ Phase ${phaseNum} FAILED`);
+  
+  const missing = result.files.filter(f => f.status === 'missing');
+  if (missing.length > 0) {
+    console.log(`\n📁 Missing files (${missing.length}):`);
+    missing.forEach(f => console.log(`   - ${f.path}`));
+  }
+  
+  if (contentFailures.length > 0) {
+    console.log(`\n🔎 Failed content assertions (${contentFailures.length}):`);
+    contentFailures.forEach(r => console.log(`   - ${r.file}: expected it ${r.expectation}`));
+  }
+  
+  const compileErrors = result.compile.flatMap(c => c.diagnostics);
+  if (compileErrors.length > 0) {
+    console.log(`\n🧩 Compile errors (${compileErrors.length}):`);
+    compileErrors.forEach(d => console.log(`   - ${formatDiagnostic(d)}`));
+  }
+  
+  const auditIssues = result.audits.flatMap(a => a.issues);
+  if (auditIssues.length > 0) {
+    console.log(`\n🛡️  Audit issues (${auditIssues.length}):`);
+    auditIssues.forEach(i => console.log(`   - ${formatAuditIssue(i)}`));
+  }
+  
+  const failed = result.commands.filter(c => !c.passed);
+  if (failed.length > 0) {
+    console.log(`\n⚙️  Failed checks (${failed.length}):`);
+    failed.forEach(f => console.log(`   - ${f.name}`));
+  }
+  
+  console.log('\n💡 Options:');
+  console.log(`   1. Re-run the phase to create missing files`);
+  console.log(`   2. Run repair: node Masterguide/scaffolding/scripts/repair-phase.js ${phaseNum}`);
+  console.log(`   3. Check: Masterguide/scaffolding/TROUBLESHOOTING.md`);
+}
+
+/**
+ * Suggest what to run next: the phases whose prerequisites are complete (from scaffold state
+ * when available, otherwise the next phase the config does not skip)
+ */
+function printNextStep(phaseNum, state) {
+  const runnable = state
+    ? state.getRunnablePhases().map(padPhase)
+    : PHASE_IDS.filter(n => n > phaseNum && !PHASES[n].skipReason).slice(0, 1);
+  if (runnable.length > 0) {
+    console.log(`\n▶️  Next: Phase ${runnable[0]} (${PHASES[runnable[0]].name})`);
+    if (runnable.length > 1) {
+      console.log(`   Also runnable: ${runnable.slice(1).map(n => `${n} (${PHASES[n].name})`).join(', ')}`);
     }
-    
-    process.exit(0);
+  } else if (state && state.state.status !== 'completed') {
+    console.log(`\n⏸️  No phase can start yet (others are in progress, failed or blocked) — see:`);
+    console.log(`   node Masterguide/scaffolding/scripts/scaffold-state.js runnable`);
   } else {
-    console.log(`❌ Phase ${phaseNum} FAILED`);
-    
-    if (missing.length > 0) {
-      console.log(`\n📁 Missing files (${missing.length}):`);
-      missing.forEach(f => console.log(`   - ${f}`));
-    }
-    
-    if (failed.length > 0) {
-      console.log(`\n⚙️  Failed checks (${failed.length}):`);
-      failed.forEach(f => console.log(`   - ${f.name}`));
-    }
-    
-    console.log('\n💡 Options:');
-    console.log(`   1. Re-run the phase to create missing files`);
-    console.log(`   2. Run repair: node Masterguide/scaffolding/scripts/repair-phase.js ${phaseNum}`);
-    console.log(`   3. Check: Masterguide/scaffolding/TROUBLESHOOTING.md`);
-    
+    console.log(`\n🎉 All phases complete! Run smoke test:`);
+    console.log(`   node Masterguide/scaffolding/scripts/smoke-test.js`);
+  }
+}
+
+function verifyPhaseWithState(phaseNum, format) {
+  if (!PHASES[phaseNum]) {
+    console.error(`❌ Unknown phase: ${phaseNum}`);
+    console.error(`Available phases: ${PHASE_IDS.join(', ')}`);
     process.exit(1);
   }
+
+  const result = verifyPhase(phaseNum);
+
+  if (format === 'text') {
+    printPhaseResult(result);
+  }
+
+  let recorded = true;
+  if (result.passed && !result.skipReason) {
+    const { state, error } = recordPass(phaseNum);
+    if (error) {
+      result.stateError = error;
+      recorded = false;
+    } else if (format === 'text') {
+      printNextStep(phaseNum, state);
+    }
+  }
+
+  writeReport(format, `verify-phase ${phaseNum}`, result, toSuites(result));
+  process.exit(result.passed && recorded ? 0 : 1);
+}
+
+/**
+ * Emit the json/junit report on stdout (text output is printed as it goes)
+ */
+function writeReport(format, name, data, suites) {
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+  } else if (format === 'junit') {
+    process.stdout.write(toJUnitXml(name, suites));
+  }
 }
 
 // Main
-const args = process.argv.slice(2);
+let format;
+let args;
+try {
+  ({ format, args } = parseFormatArg(process.argv.slice(2)));
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+if (format !== 'text') {
+  routeLogsToStderr();
+}
 
 if (args.length === 0 || args[0] === '--all' || args[0] === '-a') {
-  checkAllPhases();
+  const results = checkAllPhases();
+  if (format === 'text') {
+    printAllPhases(results);
+  }
+  writeReport(format, 'verify-phase --all', { phases: results }, results.flatMap(toSuites));
 } else {
-  const phaseNum = args[0].padStart(2, '0');
-  verifyPhaseWithState(phaseNum);
+  const phaseNum = padPhase(args[0]);
+  verifyPhaseWithState(phaseNum, format);
 }